@@ -1,18 +1,320 @@
 const NO_SUBGRAPH_ID = 'NO_SUBGRAPH';
 
-export class AdjacencyList {
-  nodes = [];
+// Stocks accumulate over time, auxiliaries are everything else.
+export const NODE_TYPES = ['auxiliary', 'stock'];
+
+// Whether an edge moves its target the same way as its source (positive, -->),
+// the opposite way (negative, o->), or nobody knows yet (unknown, ?->).
+export const POLARITIES = ['positive', 'negative', 'unknown'];
+
+// Mutations dispatch one of these as a CustomEvent, whose detail has the node
+// (and for edges, the source node and edge) involved. Renames also include the
+// oldName, and changes the property that changed and its oldValue.
+export const CHANGE_EVENTS = [
+  'node-add', 'node-remove', 'node-rename', 'node-change',
+  'edge-add', 'edge-remove', 'edge-change',
+];
+
+// How concat resolves conflicts, see AdjacencyList.concat.
+export const MERGE_STRATEGIES = ['prefer-left', 'prefer-right', 'error', 'keep-both'];
+
+/**
+ * @param {string[]} nodeNames The nodes a loop goes through, in order.
+ * @returns {string} The same key for the same loop, wherever it starts: the
+ * names in order, starting from the smallest.
+ */
+export function loopKey(nodeNames) {
+  const smallest = nodeNames.indexOf([...nodeNames].sort()[0]);
+  return JSON.stringify([...nodeNames.slice(smallest), ...nodeNames.slice(0, smallest)]);
+}
+
+export class AdjacencyList extends EventTarget {
   id = '';
+  // Key: subgraph ID. Value: human readable name for that subgraph.
+  subgraphNames = {};
+  // Key: loopKey of a feedback loop. Value: the name it was given.
+  loopNames = {};
+  #nodes = [];
+  // Key: node name. Value: index of the node in nodes.
+  #indexByName = new Map();
+  // Key: target node name. Value: [source Node, Edge] for every edge pointing
+  // at the target, in the order they were added.
+  #inboundEdges = new Map();
 
   constructor() {
+    super();
     this.id = uuid();
   }
 
   /**
-   * Adds another AdjacencyList to this one.
+   * The nodes of the graph. Don't change this or a node's adjacentEdges
+   * directly: use the methods below, which keep the lookups up to date and let
+   * listeners know about the change. Nodes pushed or spliced in directly are
+   * still found, since the lookups are rebuilt when they fall out of step.
+   */
+  get nodes() {
+    return this.#nodes;
+  }
+
+  set nodes(nodes) {
+    this.#nodes = nodes;
+    this.reindex();
+  }
+
+  /**
+   * Appends a node, along with any edges it already has.
+   * @param {Node} node
+   */
+  addNode(node) {
+    if (this.findNodeIndexByName(node.name) !== -1) {
+      throw new Error(`Node "${node.name}" already exists.`);
+    }
+    this.#indexByName.set(node.name, this.#nodes.length);
+    this.#nodes.push(node);
+    for (const edge of node.adjacentEdges) {
+      this.#indexEdge(node, edge);
+    }
+    this.#emit('node-add', {node});
+  }
+
+  /**
+   * Removes a node, its edges, and all edges pointing at it.
+   * @param {string} name
+   * @returns {Node} The removed node.
+   */
+  removeNode(name) {
+    const node = this.#getNode(name);
+    for (const [source, edge] of [...this.#inboundEdges.get(name) ?? []]) {
+      if (source !== node) {
+        this.#removeEdge(source, edge);
+      }
+    }
+    for (const edge of node.adjacentEdges) {
+      this.#unindexEdge(node, edge);
+    }
+    this.#inboundEdges.delete(name);
+    // Loops through the node are gone, so their names mustn't outlive them and
+    // attach to a new loop through a new node by the same name.
+    for (const key of Object.keys(this.loopNames)) {
+      if (JSON.parse(key).includes(name)) {
+        delete this.loopNames[key];
+      }
+    }
+    this.#nodes.splice(this.#indexByName.get(name), 1);
+    this.#indexByName = new Map(this.#nodes.map((node, ind) => [node.name, ind]));
+    this.#emit('node-remove', {node});
+    return node;
+  }
+
+  /**
+   * Renames a node, and updates every edge pointing at it. The label follows
+   * along if it was just the name.
+   * @param {string} oldName
+   * @param {string} newName
+   */
+  renameNode(oldName, newName) {
+    const node = this.#getNode(oldName);
+    if (this.#indexByName.has(newName)) {
+      throw new Error(`Node "${newName}" already exists.`);
+    }
+    node.name = newName;
+    if (node.label === oldName) {
+      node.label = newName;
+    }
+    this.#indexByName.set(newName, this.#indexByName.get(oldName));
+    this.#indexByName.delete(oldName);
+    const inbound = this.#inboundEdges.get(oldName);
+    if (inbound) {
+      for (const [, edge] of inbound) {
+        edge.targetName = newName;
+      }
+      this.#inboundEdges.set(newName, inbound);
+      this.#inboundEdges.delete(oldName);
+    }
+    // Named loops through the node keep their names.
+    for (const [key, loopName] of Object.entries(this.loopNames)) {
+      const nodeNames = JSON.parse(key);
+      if (nodeNames.includes(oldName)) {
+        delete this.loopNames[key];
+        this.loopNames[loopKey(nodeNames.map(name => name === oldName ? newName : name))] = loopName;
+      }
+    }
+    this.#emit('node-rename', {node, oldName});
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} label
+   */
+  setLabel(name, label) {
+    const node = this.#getNode(name);
+    const oldValue = node.label;
+    node.label = label;
+    this.#emit('node-change', {node, property: 'label', oldValue});
+  }
+
+  /**
+   * @param {string} sourceName
+   * @param {Edge} edge The edge to add to the source. Its target must already
+   * be in the graph.
+   */
+  addEdge(sourceName, edge) {
+    const source = this.#getNode(sourceName);
+    this.#getNode(edge.targetName);
+    source.adjacentEdges.push(edge);
+    this.#indexEdge(source, edge);
+    this.#emit('edge-add', {source, edge});
+  }
+
+  /**
+   * Removes the first edge from one node to another.
+   * @param {string} sourceName
+   * @param {string} targetName
+   * @returns {Edge} The removed edge.
+   */
+  removeEdge(sourceName, targetName) {
+    const edge = this.findEdge(sourceName, targetName);
+    this.#removeEdge(this.findNodeByName(sourceName), edge);
+    return edge;
+  }
+
+  /**
+   * Changes the polarity of the first edge from one node to another.
+   * @param {string} sourceName
+   * @param {string} targetName
+   * @param {string} polarity One of POLARITIES.
+   */
+  setPolarity(sourceName, targetName, polarity) {
+    if (!POLARITIES.includes(polarity)) {
+      throw new Error(`Polarity must be one of ${POLARITIES.join(', ')}.`);
+    }
+    this.#setEdgeProperty(sourceName, targetName, 'polarity', polarity);
+  }
+
+  /**
+   * Changes the label of the first edge from one node to another.
+   * @param {string} sourceName
+   * @param {string} targetName
+   * @param {string} label
+   */
+  setEdgeLabel(sourceName, targetName, label) {
+    this.#setEdgeProperty(sourceName, targetName, 'label', label);
+  }
+
+  /**
+   * @param {string} sourceName
+   * @param {string} targetName
+   * @returns {Edge} The first edge from source to target.
+   */
+  findEdge(sourceName, targetName) {
+    const source = this.#getNode(sourceName);
+    const edge = source.adjacentEdges.find(edge => edge.targetName === targetName);
+    if (!edge) {
+      throw new Error(`No edge found from "${sourceName}" to "${targetName}".`);
+    }
+    return edge;
+  }
+
+  #getNode(name) {
+    const node = this.findNodeByName(name);
+    if (!node) {
+      throw new Error(`No node found with name ${name}.`);
+    }
+    return node;
+  }
+
+  #removeEdge(source, edge) {
+    source.adjacentEdges.splice(source.adjacentEdges.indexOf(edge), 1);
+    this.#unindexEdge(source, edge);
+    this.#emit('edge-remove', {source, edge});
+  }
+
+  #setEdgeProperty(sourceName, targetName, property, value) {
+    const edge = this.findEdge(sourceName, targetName);
+    const oldValue = edge[property];
+    edge[property] = value;
+    this.#emit('edge-change', {source: this.findNodeByName(sourceName), edge, property, oldValue});
+  }
+
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {detail}));
+  }
+
+  /**
+   * Rebuilds the lookups from scratch, for when nodes or edges were changed
+   * directly.
+   */
+  reindex() {
+    this.#indexByName = new Map();
+    this.#inboundEdges = new Map();
+    for (const [ind, node] of this.#nodes.entries()) {
+      this.#indexByName.set(node.name, ind);
+    }
+    for (const node of this.#nodes) {
+      for (const edge of node.adjacentEdges) {
+        this.#indexEdge(node, edge);
+      }
+    }
+  }
+
+  #indexEdge(source, edge) {
+    if (!this.#inboundEdges.has(edge.targetName)) {
+      this.#inboundEdges.set(edge.targetName, []);
+    }
+    this.#inboundEdges.get(edge.targetName).push([source, edge]);
+  }
+
+  #unindexEdge(source, edge) {
+    const inbound = this.#inboundEdges.get(edge.targetName) ?? [];
+    const ind = inbound.findIndex(([, inboundEdge]) => inboundEdge === edge);
+    if (ind !== -1) {
+      inbound.splice(ind, 1);
+    }
+  }
+
+  /**
+   * Adds another AdjacencyList to this one. Nodes are matched by name. Where
+   * both graphs link the same pair of nodes, or give the same node a different
+   * label or metadata value, the strategy decides what happens:
+   *
+   *   keep-both: Keep both links, as concat always has. Node labels and
+   *     metadata are kept from this graph. This is the default.
+   *   prefer-left: Keep what this graph has.
+   *   prefer-right: Replace it with what the other graph has.
+   *   error: Throw a MergeConflictError, leaving this graph untouched.
+   *
+   * Metadata keys that only one of the graphs has are always kept, including
+   * those of links that are dropped in favour of another.
+   *
    * @param {AdjacencyList} otherAL
+   * @param {object} options
+   * @param {string} options.strategy One of MERGE_STRATEGIES.
+   * @returns {MergeReport} Every conflict found, and how it was resolved.
    */
-  concat(otherAL) {
+  concat(otherAL, {strategy = 'keep-both'} = {}) {
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Merge strategy must be one of ${MERGE_STRATEGIES.join(', ')}.`);
+    }
+    const report = new MergeReport();
+    if (strategy === 'error') {
+      // Find all conflicts up front, so nothing is merged if there are any.
+      for (const otherSource of otherAL.nodes) {
+        const thisSource = this.findNodeByName(otherSource.name);
+        if (thisSource) {
+          report.conflicts.push(...findConflicts(thisSource, otherSource));
+        }
+      }
+      if (report.conflicts.length > 0) {
+        throw new MergeConflictError(report);
+      }
+    }
+
+    for (const [id, name] of Object.entries(otherAL.subgraphNames)) {
+      this.subgraphNames[id] ??= name;
+    }
+    for (const [key, name] of Object.entries(otherAL.loopNames)) {
+      this.loopNames[key] ??= name;
+    }
     for (const otherSource of otherAL.nodes) {
       // Find the corresponding source node in this graph.
       const thisSource = this.findNodeByName(otherSource.name);
@@ -20,73 +322,108 @@ export class AdjacencyList {
         // If it's not found, add it and all of its adjacent nodes.
         const source = otherSource.clone();
         // console.log(`append: ${otherSource.name} not found: adding wholesale.`, source);
-        this.nodes.push(source);
-      } else {
-        // If this source is found, see if the other source points to any
-        // other targets.
-        // console.log(`Found node named "${otherSource.name}":`, thisSource);
-        for (const edge of otherSource.adjacentEdges) {
-          const otherTargetName = edge.targetName;
-          const otherTarget = otherAL.findNodeByName(edge.targetName);
-          // Check if the other target is already in our target's adjacency list.
-          const adjEdgeNames = thisSource.adjacentEdges.map(e => e.name);
-          const isPresent = adjEdgeNames.includes(otherTargetName);
-          if (isPresent) {
-            // If present, assume the node also exists in the graph.
+        this.addNode(source);
+        continue;
+      }
+
+      const conflicts = findConflicts(thisSource, otherSource);
+      // Nodes can't have two labels or values, so only prefer-right changes
+      // them.
+      for (const conflict of conflicts.filter(conflict => conflict.targetName === '')) {
+        conflict.resolution = strategy === 'prefer-right' ? 'kept-right' : 'kept-left';
+        report.conflicts.push(conflict);
+        if (strategy !== 'prefer-right') {
+          continue;
+        }
+        if (conflict.kind === 'label-mismatch') {
+          this.setLabel(thisSource.name, otherSource.label);
+        } else {
+          thisSource.metadata[conflict.key] = conflict.right;
+        }
+      }
+      // Declarations can show up after the node is first mentioned.
+      thisSource.mergeAttributes(otherSource);
+      // Nodes shared between graphs keep track of all of them.
+      for (const subgraphId of otherSource.subgraphs) {
+        if (!thisSource.subgraphs.includes(subgraphId)) {
+          thisSource.subgraphs.push(subgraphId);
+        }
+      }
+      thisSource.occurrences.push(...otherSource.occurrences.map(span => span.clone()));
+      // If this source is found, see if the other source points to any
+      // other targets.
+      // console.log(`Found node named "${otherSource.name}":`, thisSource);
+      for (const edge of otherSource.adjacentEdges) {
+        const conflict = conflicts.find(conflict => conflict.right === edge);
+        let newEdge = edge.clone();
+        if (conflict) {
+          report.conflicts.push(conflict);
+          // Whichever edge survives picks up the label and metadata only the
+          // other one had.
+          if (strategy === 'prefer-left') {
+            conflict.resolution = 'kept-left';
+            conflict.left.label ||= edge.label;
+            fillMetadata(conflict.left, edge);
             continue;
-          }
-          // Otherwise, check if the node exists in the graph at all.
-          let thisTarget = this.findNodeByName(otherTargetName);
-          if (thisTarget === null) {
-            // The other target doesn't exist in this node.
-            // console.log(`Did not find target node named "${otherTargetName}". Creating.`);
-            thisTarget = otherTarget.clone();
-            // Reset the adjacent edges for this target.
-            thisTarget.adjacentEdges = [];
-            // thisTarget.subgraphs.push(this.id);
-            this.nodes.push(thisTarget);
+          } else if (strategy === 'prefer-right') {
+            conflict.resolution = 'kept-right';
+            newEdge.label ||= conflict.left.label;
+            fillMetadata(newEdge, conflict.left);
+            this.#removeEdge(thisSource, conflict.left);
           } else {
-            // This target exists in the graph, already, but still add the other
-            // graph as a subgraph.
-            // console.log(`Found target node named "${otherTargetName}" in graph.`);
-            // thisTarget.subgraphs.push(otherAL.id);
+            conflict.resolution = 'kept-both';
           }
-
-          // And then add the name to our adjacency list.
-          // console.log(`Adding edge "${thisSource.name}" -> "${edge.targetName}"`);
-          // console.log(`Existing edges`, thisSource.adjacentEdges);
-          thisSource.adjacentEdges.push(edge.clone());
         }
+        // Otherwise, check if the node exists in the graph at all.
+        const otherTargetName = edge.targetName;
+        let thisTarget = this.findNodeByName(otherTargetName);
+        if (thisTarget === null) {
+          // The other target doesn't exist in this node.
+          // console.log(`Did not find target node named "${otherTargetName}". Creating.`);
+          thisTarget = otherAL.findNodeByName(otherTargetName).clone();
+          // Reset the adjacent edges and occurrences for this target. Both
+          // get added once we get to it as a source.
+          thisTarget.adjacentEdges = [];
+          thisTarget.occurrences = [];
+          this.addNode(thisTarget);
+        }
+
+        // And then add the name to our adjacency list.
+        // console.log(`Adding edge "${thisSource.name}" -> "${edge.targetName}"`);
+        this.addEdge(thisSource.name, newEdge);
       }
     }
+    return report;
   }
 
   /**
    *
    * @param {string} name
+   * @returns {Node|null}
    */
   findNodeByName(name) {
-    for (const node of this.nodes) {
-      if (node.name === name) {
-        return node;
-      }
-    }
-    return null;
+    const ind = this.findNodeIndexByName(name);
+    return ind === -1 ? null : this.#nodes[ind];
   }
 
   findNodeIndexByName(name) {
-    for (const [ind, node] of this.nodes.entries()) {
-      if (node.name === name) {
-        return ind;
-      }
+    if (this.#indexByName.size !== this.#nodes.length) {
+      this.reindex();
     }
-    return -1;
+    return this.#indexByName.get(name) ?? -1;
   }
 
   flattenSubgraphs() {
     this.nodes.map(node => node.subgraphs = [this.id]);
   }
 
+  /**
+   * @returns {Node[]} Nodes that belong to more than one subgraph.
+   */
+  getSharedNodes() {
+    return this.nodes.filter(node => node.subgraphs.length > 1);
+  }
+
   getSubgraphIds() {
     const subgraphs = [];
     this.nodes.map(node => subgraphs.push(...node.subgraphs))
@@ -95,45 +432,173 @@ export class AdjacencyList {
 
   /**
    * @return {Node[][]} A partitioning of nodes, so that each node belongs to
-   * its dominant subgraph.
+   * its dominant subgraph, the first one it was added to. See also
+   * getSharedNodes.
    */
   partitionSubgraphs() {
-    const partition = {};
+    return [...this.partitionSubgraphsById().values()];
+  }
+
+  /**
+   * @return {Map<string, Node[]>} Same as partitionSubgraphs, but keyed by
+   * subgraph ID.
+   */
+  partitionSubgraphsById() {
+    const partition = new Map();
     for (const node of this.nodes) {
       const subgraphId = (node.subgraphs && node.subgraphs.length > 0) ?
         node.subgraphs[0] : NO_SUBGRAPH_ID;
 
-      if (partition[subgraphId] === undefined) {
-        partition[subgraphId] = [];
+      if (!partition.has(subgraphId)) {
+        partition.set(subgraphId, []);
       }
-      partition[subgraphId].push(node);
+      partition.get(subgraphId).push(node);
     }
 
-    return Object.values(partition);
+    return partition;
   }
 
-  /** Returns a list of nodes that are adjacent to the one specified by name. */
+  /**
+   * Returns a list of nodes that are adjacent to the one specified by name,
+   * each with the first of its edges to that node, in node order. Links from
+   * the node to itself are left out.
+   * @param {string} nodeName
+   * @returns {Array<[Node, Edge]>}
+   */
   findInboundAdjacentNodes(nodeName) {
     const node = this.findNodeByName(nodeName);
     if (!node) {
       throw new Error(`No node found with name ${nodeName}.`);
     }
-    const out = [];
-    for (const possibleInboundNode of this.nodes) {
-      // Ignore the same node.
-      if (node == possibleInboundNode) {
-        continue;
-      }
-      // If the argument node is in the list of adjacent edges, add to out.
-      const adjacentEdgeNames = possibleInboundNode.adjacentEdges.map(
-        edge => edge.targetName);
-      const ind = adjacentEdgeNames.indexOf(nodeName);
-      if (ind != -1) {
-        const edge = possibleInboundNode.adjacentEdges[ind];
-        out.push([possibleInboundNode, edge]);
+    // Key: source node. Value: its first edge to this node.
+    const firstEdges = new Map();
+    for (const [source, edge] of this.#inboundEdges.get(nodeName) ?? []) {
+      if (source !== node && !firstEdges.has(source)) {
+        firstEdges.set(source, edge);
       }
     }
-    return out;
+    return [...firstEdges.entries()].sort(([a], [b]) =>
+      this.findNodeIndexByName(a.name) - this.findNodeIndexByName(b.name));
+  }
+}
+
+/**
+ * Something two merged graphs disagree on.
+ */
+export class MergeConflict {
+  // One of 'duplicate-edge', 'polarity-conflict', 'edge-label-conflict',
+  // 'label-mismatch' or 'metadata-conflict'.
+  kind = '';
+  // The node, or the source of the edges, the graphs disagree on.
+  nodeName = '';
+  // The target of the edges, empty for label mismatches.
+  targetName = '';
+  // For metadata conflicts, the metadata key.
+  key = '';
+  // What each graph has: an Edge, or a node label or metadata value.
+  left = null;
+  right = null;
+  // How concat resolved it: 'kept-left', 'kept-right' or 'kept-both'.
+  resolution = '';
+
+  get message() {
+    const link = `Link from "${this.nodeName}" to "${this.targetName}"`;
+    switch (this.kind) {
+      case 'duplicate-edge':
+        return `${link} is in both graphs.`;
+      case 'polarity-conflict':
+        return `${link} is ${this.left.polarity} on the left but ${this.right.polarity} on the right.`;
+      case 'edge-label-conflict':
+        return `${link} is labelled "${this.left.label}" on the left but "${this.right.label}" on the right.`;
+      case 'label-mismatch':
+        return `"${this.nodeName}" is labelled "${this.left}" on the left but "${this.right}" on the right.`;
+      case 'metadata-conflict':
+        return `"${this.nodeName}" has ${this.key} "${this.left}" on the left but "${this.right}" on the right.`;
+    }
+  }
+
+  toString() {
+    const resolution = this.resolution ? ` (${this.resolution})` : '';
+    return `${this.message}${resolution} [${this.kind}]`;
+  }
+}
+
+/**
+ * What AdjacencyList.concat ran into.
+ */
+export class MergeReport {
+  conflicts = [];
+
+  get hasConflicts() {
+    return this.conflicts.length > 0;
+  }
+
+  toString() {
+    return this.conflicts.map(conflict => conflict.toString()).join('\n');
+  }
+}
+
+export class MergeConflictError extends Error {
+  constructor(report) {
+    super(`Graphs can not be merged:\n${report}`);
+    this.name = 'MergeConflictError';
+    this.report = report;
+  }
+}
+
+/**
+ * @param {Node} left A node in the graph being merged into.
+ * @param {Node} right The node with the same name in the other graph.
+ * @returns {MergeConflict[]} Conflicts between the two nodes and their edges,
+ * at most one per edge of right.
+ */
+function findConflicts(left, right) {
+  const out = [];
+  const makeConflict = (kind, targetName, leftValue, rightValue) => {
+    const conflict = new MergeConflict();
+    conflict.kind = kind;
+    conflict.nodeName = left.name;
+    conflict.targetName = targetName;
+    conflict.left = leftValue;
+    conflict.right = rightValue;
+    out.push(conflict);
+    return conflict;
+  };
+  // Labels only count if they were written down, rather than defaulting to
+  // the name.
+  if (left.label !== left.name && right.label !== right.name && left.label !== right.label) {
+    makeConflict('label-mismatch', '', left.label, right.label);
+  }
+  for (const [key, value] of Object.entries(right.metadata)) {
+    if (key in left.metadata && left.metadata[key] !== value) {
+      makeConflict('metadata-conflict', '', left.metadata[key], value).key = key;
+    }
+  }
+  for (const edge of right.adjacentEdges) {
+    const existing = left.adjacentEdges.filter(e => e.targetName === edge.targetName);
+    const same = existing.find(e => e.polarity === edge.polarity);
+    // A link that isn't labelled in one graph doesn't disagree with the other.
+    if (same && same.label && edge.label && same.label !== edge.label) {
+      makeConflict('edge-label-conflict', edge.targetName, same, edge);
+    } else if (same) {
+      makeConflict('duplicate-edge', edge.targetName, same, edge);
+    } else if (existing.length > 0) {
+      makeConflict('polarity-conflict', edge.targetName, existing[0], edge);
+    }
+  }
+  return out;
+}
+
+/**
+ * Copies metadata the target doesn't have yet from the source.
+ * @param {Node|Edge} target
+ * @param {Node|Edge} source
+ */
+function fillMetadata(target, source) {
+  for (const [key, value] of Object.entries(source.metadata)) {
+    if (!(key in target.metadata)) {
+      target.metadata[key] = value;
+    }
   }
 }
 
@@ -155,8 +620,24 @@ export class Node {
   label = ''
   // List of node names this node links to.
   adjacentEdges = [];
-  // Which subgraph IDs this node belongs to.
+  // Which subgraph IDs this node belongs to, the one it was first added to
+  // first.
   subgraphs = [];
+  // The value the simulator starts with, or null for its default.
+  initialValue = null;
+  // The value a balancing loop strives for, or null if there is none.
+  target = null;
+  // Free form units, eg. "people".
+  units = '';
+  // One of NODE_TYPES.
+  type = 'auxiliary';
+  // Path of the CGML file this node was first mentioned in, if any.
+  sourceFile = '';
+  // Where in the CGML this node is mentioned, one SourceSpan per mention.
+  occurrences = [];
+  // Anything else worth knowing, eg. a description or owner. Key: metadata
+  // key. Value: a string.
+  metadata = {};
 
   clone() {
     const copy = new Node();
@@ -164,22 +645,99 @@ export class Node {
     copy.label = this.label;
     copy.adjacentEdges = this.adjacentEdges.map(edge => edge.clone());
     copy.subgraphs = this.subgraphs.slice();
+    copy.initialValue = this.initialValue;
+    copy.target = this.target;
+    copy.units = this.units;
+    copy.type = this.type;
+    copy.sourceFile = this.sourceFile;
+    copy.occurrences = this.occurrences.map(span => span.clone());
+    copy.metadata = {...this.metadata};
     return copy;
   }
+
+  /**
+   * Fills in any attributes that are unset on this node, but set on the other
+   * one. Attributes that are already set here are kept.
+   * @param {Node} other A node with the same name.
+   */
+  mergeAttributes(other) {
+    if (this.label === this.name) {
+      this.label = other.label;
+    }
+    this.initialValue ??= other.initialValue;
+    this.target ??= other.target;
+    this.units ||= other.units;
+    if (this.type === 'auxiliary') {
+      this.type = other.type;
+    }
+    fillMetadata(this, other);
+  }
 }
 
 export class Edge {
   // The name of the target node.
   targetName = '';
-  // The valence of the edge.
-  isOpposite = false;
+  // The valence of the edge, one of POLARITIES.
+  polarity = 'positive';
   // The label on the edge.
   label = '';
+  // How strongly the source influences the target, or null for the default.
+  strength = null;
+  // How many steps it takes for the influence to arrive, 0 if immediate.
+  delay = 0;
+  // Where in the CGML this edge was written, or null.
+  span = null;
+  // Anything else worth knowing, eg. evidence or confidence. Key: metadata
+  // key. Value: a string.
+  metadata = {};
 
   clone() {
     const copy = new Edge();
     copy.targetName = this.targetName;
-    copy.isOpposite = this.isOpposite;
+    copy.polarity = this.polarity;
+    copy.label = this.label;
+    copy.strength = this.strength;
+    copy.delay = this.delay;
+    copy.span = this.span?.clone() ?? null;
+    copy.metadata = {...this.metadata};
+    return copy;
+  }
+
+  get isOpposite() {
+    return this.polarity === 'negative';
+  }
+
+  set isOpposite(value) {
+    this.polarity = value ? 'negative' : 'positive';
+  }
+
+  get isUnknown() {
+    return this.polarity === 'unknown';
+  }
+}
+
+/**
+ * A range of CGML text. Lines and columns are 1-based, and endColumn points one
+ * past the last character.
+ */
+export class SourceSpan {
+  line = 0;
+  column = 0;
+  endColumn = 0;
+  // Path of the CGML file, empty if parsing a string.
+  file = '';
+  // ID of the subgraph (group or document) the text is in.
+  subgraph = '';
+  // For node occurrences, the label written there, if there was one.
+  label = '';
+
+  clone() {
+    const copy = new SourceSpan();
+    copy.line = this.line;
+    copy.column = this.column;
+    copy.endColumn = this.endColumn;
+    copy.file = this.file;
+    copy.subgraph = this.subgraph;
     copy.label = this.label;
     return copy;
   }
@@ -0,0 +1,318 @@
+/**
+ * A group of loops that looks like one of the classic systems archetypes.
+ */
+export class ArchetypeMatch {
+  // Which archetype matched, one of the keys of ARCHETYPES.
+  archetypeId = '';
+  // The archetype's human readable name, eg. "Limits to Growth".
+  name = '';
+  // Key: role, eg. 'performance'. Value: the Node playing that role.
+  roles = {};
+  // The CausalLoops that make up the match.
+  loops = [];
+  // How closely the loops fit the archetype, from 0 to 1.
+  confidence = 0;
+
+  /**
+   * @returns {string[]} Names of the nodes in any of the loops, without
+   * duplicates.
+   */
+  get nodeNames() {
+    return [...new Set(this.loops.flatMap(loop => loop.nodes.map(node => node.name)))];
+  }
+
+  /**
+   * @returns {Edge[]} The edges of all of the loops, without duplicates.
+   */
+  get edges() {
+    return [...new Set(this.loops.flatMap(loop => loop.edges))];
+  }
+
+  toString() {
+    const roles = Object.entries(this.roles)
+      .map(([role, node]) => `${role}: ${node.name}`).join(', ');
+    return `${this.name} (${Math.round(this.confidence * 100)}%) ${roles}`;
+  }
+}
+
+/**
+ * Each archetype has a name, a short description, and a match function which
+ * looks through the loops of a graph and calls report(roles, loops, confidence)
+ * for every match it finds. Confidence starts from a base for the bare
+ * structure, and goes up with the details that make the archetype typical.
+ */
+export const ARCHETYPES = {
+  'limits-to-growth': {
+    name: 'Limits to Growth',
+    description: 'A reinforcing loop drives growth until a balancing loop ' +
+      'through the same variable slows it down.',
+    match({reinforcing, balancing, adjList}, report) {
+      for (const [growth, limit, shared] of overlappingPairs(reinforcing, balancing)) {
+        // Loops that share a link are more likely a fix that fails.
+        if (growth.edges.some(edge => limit.edges.includes(edge))) {
+          continue;
+        }
+        const [performance] = shared;
+        const roles = {
+          performance,
+          growingAction: next(growth, performance),
+          limitingAction: next(limit, performance),
+        };
+        // Something outside both loops usually sets the limit.
+        const constraint = limit.nodes.filter(node => node !== performance)
+          .flatMap(node => adjList.findInboundAdjacentNodes(node.name))
+          .map(([source]) => source)
+          .find(source => !growth.nodes.includes(source) && !limit.nodes.includes(source));
+        if (constraint) {
+          roles.constraint = constraint;
+        }
+        report(roles, [growth, limit], score(0.6, [
+          [shared.length === 1, 0.2],
+          [constraint, 0.2],
+        ]));
+      }
+    },
+  },
+  'fixes-that-fail': {
+    name: 'Fixes that Fail',
+    description: 'A fix balances a problem, but its unintended consequences ' +
+      'reinforce the problem later on.',
+    match({reinforcing, balancing}, report) {
+      for (const [fixLoop, consequenceLoop, shared] of overlappingPairs(balancing, reinforcing)) {
+        // The problem calls for the fix in both loops.
+        const sharedEdge = fixLoop.edges.find(edge => consequenceLoop.edges.includes(edge));
+        if (!sharedEdge || sharedEdge.isOpposite || sharedEdge.isUnknown) {
+          continue;
+        }
+        const fix = fixLoop.nodes.find(node => node.name === sharedEdge.targetName);
+        const problem = previous(fixLoop, fix);
+        const consequence = next(consequenceLoop, fix);
+        if (consequence === problem) {
+          continue;
+        }
+        report({problem, fix, consequence}, [fixLoop, consequenceLoop], score(0.6, [
+          [hasDelay(consequenceLoop), 0.3],
+          [shared.length === 2, 0.1],
+        ]));
+      }
+    },
+  },
+  'shifting-the-burden': {
+    name: 'Shifting the Burden',
+    description: 'A quick symptomatic solution and a slower fundamental ' +
+      'solution both relieve a problem, and the quick one undermines the other.',
+    match({reinforcing, balancing}, report) {
+      for (const [a, b, shared] of overlappingPairs(balancing, balancing)) {
+        // Both solutions reduce the symptom, so both links into it are negative.
+        const symptom = shared.find(node =>
+          edgeInto(a, node).isOpposite && edgeInto(b, node).isOpposite &&
+          previous(a, node) !== previous(b, node));
+        if (!symptom) {
+          continue;
+        }
+        // The fundamental solution takes longer to work.
+        const bIsSlower = (hasDelay(b) && !hasDelay(a)) ||
+          (hasDelay(a) === hasDelay(b) && b.length > a.length);
+        const [quick, slow] = bIsSlower ? [a, b] : [b, a];
+        const roles = {
+          symptom,
+          symptomaticSolution: previous(quick, symptom),
+          fundamentalSolution: previous(slow, symptom),
+        };
+        // The side effect of the symptomatic solution weakens the fundamental
+        // one, making for a reinforcing loop of addiction.
+        const addiction = reinforcing.find(loop =>
+          loop.nodes.includes(roles.symptomaticSolution) &&
+          loop.nodes.includes(roles.fundamentalSolution));
+        const loops = [quick, slow];
+        if (addiction) {
+          const sideEffect = next(addiction, roles.symptomaticSolution);
+          if (sideEffect !== roles.fundamentalSolution) {
+            roles.sideEffect = sideEffect;
+          }
+          loops.push(addiction);
+        }
+        report(roles, loops, score(0.5, [
+          [hasDelay(slow) !== hasDelay(quick) || slow.length > quick.length, 0.2],
+          [addiction, 0.3],
+        ]));
+      }
+    },
+  },
+  'escalation': {
+    name: 'Escalation',
+    description: 'Two parties each respond to the other getting ahead, so ' +
+      'their balancing loops together escalate.',
+    match({balancing}, report) {
+      for (const [a, b, shared] of overlappingPairs(balancing, balancing)) {
+        // One party pushes their relative position up, the other pushes it
+        // down.
+        const [position] = shared;
+        if (shared.length !== 1 || edgeInto(a, position).isOpposite === edgeInto(b, position).isOpposite ||
+          edgeInto(a, position).isUnknown || edgeInto(b, position).isUnknown) {
+          continue;
+        }
+        const [up, down] = edgeInto(a, position).isOpposite ? [b, a] : [a, b];
+        report({
+          position,
+          activityA: previous(up, position),
+          activityB: previous(down, position),
+        }, [up, down], score(0.7, [
+          [hasDelay(a) || hasDelay(b), 0.3],
+        ]));
+      }
+    },
+  },
+  'success-to-the-successful': {
+    name: 'Success to the Successful',
+    description: 'Two reinforcing loops compete for the same resource, so ' +
+      'whichever does well gets more of it.',
+    match({reinforcing}, report) {
+      for (const [a, b, shared] of overlappingPairs(reinforcing, reinforcing)) {
+        // Allocating more to one party means allocating less to the other.
+        const [allocation] = shared;
+        if (shared.length !== 1 || edgeOutOf(a, allocation).isOpposite === edgeOutOf(b, allocation).isOpposite ||
+          edgeOutOf(a, allocation).isUnknown || edgeOutOf(b, allocation).isUnknown) {
+          continue;
+        }
+        const [favoured, other] = edgeOutOf(a, allocation).isOpposite ? [b, a] : [a, b];
+        report({
+          allocation,
+          resourcesA: next(favoured, allocation),
+          resourcesB: next(other, allocation),
+        }, [favoured, other], score(0.7, [
+          [a.length === b.length, 0.3],
+        ]));
+      }
+    },
+  },
+  'tragedy-of-the-commons': {
+    name: 'Tragedy of the Commons',
+    description: 'Each party grows through its own reinforcing loop, until ' +
+      'their total activity depletes a shared resource.',
+    match({reinforcing, balancing}, report) {
+      for (const [a, b, shared] of overlappingPairs(balancing, balancing)) {
+        // The parties' activity adds up where their balancing loops meet.
+        const commons = shared.find(node => previous(a, node) !== previous(b, node) &&
+          !edgeInto(a, node).isOpposite && !edgeInto(b, node).isOpposite);
+        if (!commons) {
+          continue;
+        }
+        const ownLoop = (mine, theirs) => reinforcing.find(loop =>
+          !loop.nodes.includes(commons) &&
+          loop.nodes.some(node => mine.nodes.includes(node)) &&
+          !loop.nodes.some(node => theirs.nodes.includes(node)));
+        const growthA = ownLoop(a, b);
+        const growthB = ownLoop(b, a);
+        if (!growthA || !growthB || growthA.nodes.some(node => growthB.nodes.includes(node))) {
+          continue;
+        }
+        report({
+          commons,
+          activityA: previous(a, commons),
+          activityB: previous(b, commons),
+        }, [growthA, growthB, a, b], score(0.6, [
+          [hasDelay(a) || hasDelay(b), 0.2],
+          [shared.length > 1, 0.2],
+        ]));
+      }
+    },
+  },
+};
+
+/**
+ * Looks for systems archetypes among the loops of a graph.
+ *
+ * @param {CausalGraph} graph
+ * @param {object} options
+ * @param {CausalLoop[]} options.loops The graph's loops, if already analyzed.
+ * @param {number} options.minConfidence Leave out less likely matches.
+ * @returns {ArchetypeMatch[]} Most confident first, then in the order of
+ * ARCHETYPES.
+ */
+export function detectArchetypes(graph, {loops = null, minConfidence = 0} = {}) {
+  loops ??= graph.analyzeLoops();
+  const context = {
+    adjList: graph.adjList,
+    reinforcing: loops.filter(loop => loop.type === 'REINFORCING'),
+    balancing: loops.filter(loop => loop.type === 'BALANCING'),
+  };
+  const out = [];
+  for (const [archetypeId, archetype] of Object.entries(ARCHETYPES)) {
+    archetype.match(context, (roles, matchLoops, confidence) => {
+      if (confidence < minConfidence) {
+        return;
+      }
+      const match = new ArchetypeMatch();
+      match.archetypeId = archetypeId;
+      match.name = archetype.name;
+      match.roles = roles;
+      match.loops = matchLoops;
+      match.confidence = confidence;
+      out.push(match);
+    });
+  }
+  return out.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Pairs up loops that go through at least one common node.
+ *
+ * @param {CausalLoop[]} first
+ * @param {CausalLoop[]} second If the same as first, each pair comes up once.
+ * @yields {[CausalLoop, CausalLoop, Node[]]} A loop from first, one from
+ * second, and the nodes they share in the order of the first loop.
+ */
+function* overlappingPairs(first, second) {
+  // Key: node. Value: indices of the loops in second through it.
+  const loopsByNode = new Map();
+  for (const [ind, loop] of second.entries()) {
+    for (const node of loop.nodes) {
+      if (!loopsByNode.has(node)) {
+        loopsByNode.set(node, []);
+      }
+      loopsByNode.get(node).push(ind);
+    }
+  }
+  for (const [ind, loop] of first.entries()) {
+    const candidates = new Set(loop.nodes.flatMap(node => loopsByNode.get(node) ?? []));
+    for (const otherInd of [...candidates].sort((a, b) => a - b)) {
+      if (first === second && otherInd <= ind) {
+        continue;
+      }
+      const other = second[otherInd];
+      yield [loop, other, loop.nodes.filter(node => other.nodes.includes(node))];
+    }
+  }
+}
+
+function next(loop, node) {
+  return loop.nodes[(loop.nodes.indexOf(node) + 1) % loop.length];
+}
+
+function previous(loop, node) {
+  return loop.nodes[(loop.nodes.indexOf(node) + loop.length - 1) % loop.length];
+}
+
+function edgeOutOf(loop, node) {
+  return loop.edges[loop.nodes.indexOf(node)];
+}
+
+function edgeInto(loop, node) {
+  return edgeOutOf(loop, previous(loop, node));
+}
+
+function hasDelay(loop) {
+  return loop.edges.some(edge => edge.delay > 0);
+}
+
+/**
+ * @param {number} base Confidence for the bare structure.
+ * @param {Array<[*, number]>} bonuses Added to base where the first item is
+ * truthy.
+ * @returns {number} Between 0 and 1, rounded to two decimals.
+ */
+function score(base, bonuses) {
+  const total = bonuses.reduce((sum, [applies, bonus]) => sum + (applies ? bonus : 0), base);
+  return Math.min(1, Math.round(total * 100) / 100);
+}
@@ -0,0 +1,74 @@
+/**
+ * Times parsing, loop analysis and simulation of a large generated graph:
+ *
+ *   node benchmark.js [nodeCount] [edgesPerNode] [steps]
+ *
+ * The graph is made of clusters of ten nodes. Most edges point forward to a
+ * random later node, and each cluster has one edge back to its start, so there
+ * are plenty of loops without the number of cycles exploding.
+ */
+import {performance} from 'node:perf_hooks';
+
+import {CausalGraph} from './causal-graph.js';
+import {GraphSimulatorSimple} from './graph-simulator.js';
+
+const CLUSTER_SIZE = 10;
+// How far ahead forward edges can reach.
+const FORWARD_REACH = 200;
+
+const [nodeCount = 10000, edgesPerNode = 5, steps = 100] = process.argv.slice(2).map(Number);
+
+const random = seededRandom(42);
+const lines = [];
+for (let i = 0; i < nodeCount; i++) {
+  const clusterEnd = Math.min(nodeCount, (Math.floor(i / CLUSTER_SIZE) + 1) * CLUSTER_SIZE);
+  const targets = new Set();
+  if (i === clusterEnd - 1) {
+    targets.add(clusterEnd - CLUSTER_SIZE);
+  }
+  for (let attempt = 0; targets.size < edgesPerNode && attempt < edgesPerNode * 4; attempt++) {
+    // Half of the edges stay within the cluster to form loops.
+    const reach = attempt % 2 === 0 ? clusterEnd - i - 1 : FORWARD_REACH;
+    const target = i + 1 + Math.floor(random() * reach);
+    if (target > i && target < nodeCount) {
+      targets.add(target);
+    }
+  }
+  for (const target of targets) {
+    const arrow = random() < 0.3 ? 'o->' : '-->';
+    lines.push(`N${i} ${arrow} N${target}`);
+  }
+}
+const cgml = lines.join('\n');
+console.log(`${nodeCount} nodes, ${lines.length} edges.`);
+
+const graph = time('Parse', () => new CausalGraph(cgml));
+const loops = time('Analyze loops', () => graph.analyzeLoops());
+console.log(`  ${loops.length} loops found.`);
+time(`Simulate ${steps} steps`, () => {
+  const simulator = new GraphSimulatorSimple(graph, {edgeAlpha: 0.01});
+  for (let step = 0; step < steps; step++) {
+    simulator.run();
+  }
+});
+
+function time(name, fn) {
+  const start = performance.now();
+  const result = fn();
+  console.log(`${name}: ${Math.round(performance.now() - start)} ms`);
+  return result;
+}
+
+/**
+ * Mulberry32, so that every run benchmarks the same graph.
+ * @param {number} seed
+ * @returns {function(): number} Returns numbers in [0, 1).
+ */
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
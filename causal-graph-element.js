@@ -2,6 +2,13 @@ import {html, css, LitElement} from 'https://cdn.jsdelivr.net/npm/lit-element@3.
 import mermaid from 'https://cdn.jsdelivr.net/npm/mermaid@9.4.3/+esm';
 
 import {CausalGraph} from './causal-graph.js';
+import {LocalStorageLoader} from './cgml-loaders.js';
+
+// Callback for the click directives that toMermaid adds for metadata tooltips.
+// Mermaid only calls it under securityLevel 'loose', which isn't used here: at
+// the default strict level the tooltips still show, which is all that's
+// expected to work. Clicks are handled in addNodeClickHandlers instead.
+window.showMetadata ??= () => {};
 
 export class CausalGraphElement extends LitElement {
   static get styles() {
@@ -18,6 +25,9 @@ export class CausalGraphElement extends LitElement {
         align-items: center;
         height: 100%;
       }
+      .diagnostics { color: #b00020; font-family: monospace; }
+      .diagnostics .warning { color: #8a6d00; }
+      .diagnostics .info { color: #555; }
   `;
   }
 
@@ -26,6 +36,7 @@ export class CausalGraphElement extends LitElement {
       name: {type: String},
       cgml: {type: String, reflect: true},
       noTextarea: {type: Boolean, reflect: true},
+      diagnostics: {type: Array, attribute: false},
     }
   }
 
@@ -34,6 +45,7 @@ export class CausalGraphElement extends LitElement {
     this.name = 'Somebody';
     this.cgml = '';
     this.noTextarea = false;
+    this.diagnostics = [];
   }
 
   updated(changedProps) {
@@ -69,30 +81,75 @@ export class CausalGraphElement extends LitElement {
     try {
       if (!cgml) {
         mermaidEl.innerHTML = '';
+        this.diagnostics = [];
         return;
       }
-      const graph = new CausalGraph(cgml);
+      const graph = new CausalGraph(cgml, {
+        collectDiagnostics: true, loader: new LocalStorageLoader()});
+      this.diagnostics = [...graph.diagnostics, ...graph.lint()];
 
-      const mermaidMarkup = graph.toMermaid({labelLoops: true});
+      const mermaidMarkup = graph.toMermaid({labelLoops: true, metadataTooltips: true});
       // console.log('Rendering mermaid.js', mermaidMarkup)
 
-      mermaid.mermaidAPI.render('graphDiv', mermaidMarkup, (svgCode) => {
+      mermaid.mermaidAPI.render('graphDiv', mermaidMarkup, (svgCode, bindFunctions) => {
         mermaidEl.innerHTML = svgCode;
+        // Attaches the metadata tooltips.
+        bindFunctions?.(mermaidEl);
+        this.addNodeClickHandlers(mermaidEl, graph);
       });
     } catch (e) {
       console.log('Bad graph.', e);
     }
   }
 
+  /**
+   * Clicking on a node in the diagram selects where it's defined in the
+   * textarea.
+   */
+  addNodeClickHandlers(mermaidEl, graph) {
+    for (const nodeEl of mermaidEl.querySelectorAll('.node')) {
+      // Mermaid gives nodes IDs like flowchart-<index>-<counter>.
+      const index = Number(nodeEl.id.split('-')[1]);
+      const node = graph.adjList.nodes[index];
+      if (!node) {
+        continue;
+      }
+      nodeEl.style.cursor = 'pointer';
+      nodeEl.addEventListener('click', () => this.selectSpan(node.occurrences[0]));
+    }
+  }
+
+  /**
+   * @param {SourceSpan} span
+   */
+  selectSpan(span) {
+    const textarea = this.shadowRoot.querySelector('textarea');
+    // Spans in included files can't be shown in this textarea.
+    if (!textarea || !span || span.file) {
+      return;
+    }
+    const lines = textarea.value.split('\n');
+    let offset = 0;
+    for (const line of lines.slice(0, span.line - 1)) {
+      offset += line.length + 1;
+    }
+    textarea.focus();
+    textarea.setSelectionRange(offset + span.column - 1, offset + span.endColumn - 1);
+  }
+
   render() {
     const textarea = !this.noTextarea ?
       html`<textarea cols=80 rows=10 placeholder="Your CGML graph goes in here." @input=${this.handleTextareaInput}
   @blur=${this.handleTextareaBlur}>${this.cgml}</textarea>` : html``;
+    const diagnostics = this.diagnostics.length > 0 ?
+      html`<ul class="diagnostics">${this.diagnostics.map(d =>
+        html`<li class=${d.severity}>${d.toString()}</li>`)}</ul>` : html``;
     return html`
     <div class="wrap">
       ${textarea}
       <div class="mermaid">Mermaid diagram comes out here</div>
     </div>
+    ${diagnostics}
     `;
   }
 }
@@ -1,5 +1,14 @@
-import {parseCGML} from "./cgml.js";
-import {tarjanSCC} from "./tarjan.js";
+import {AdjacencyList, Edge, loopKey, Node} from "./adjacency-list.js";
+import {detectArchetypes} from "./archetypes.js";
+import {traceInfluence} from "./causal-paths.js";
+import {parseCGML, parseCGMLAsync, parseCGMLWithDiagnostics, toCGML} from "./cgml.js";
+import {lintGraph} from "./graph-linter.js";
+import {rankLoops} from "./loop-metrics.js";
+import {findCycles, findStronglyConnectedComponents} from "./tarjan.js";
+
+// Mermaid styles for whatever toMermaid is asked to highlight.
+const HIGHLIGHT_STYLE = 'fill:#fbefff,stroke:#8250df,stroke-width:2px';
+const HIGHLIGHT_LINK_STYLE = 'stroke:#8250df,stroke-width:3px';
 
 /**
  * Represents a causal graph, takes simple Causal Graph Markup Language as input.
@@ -10,20 +19,73 @@ export class CausalGraph {
   // list. This is a collection of Nodes.
   adjList = null;
   mermaidOrientation = 'TD'
+  // Problems found while parsing, only populated with collectDiagnostics.
+  diagnostics = [];
 
-  constructor(cgml) {
-    this.adjList = parseCGML(cgml);
+  /**
+   * @param {string|AdjacencyList} cgml CGML to parse, or an already built
+   * adjacency list.
+   * @param {object} options
+   * @param {boolean} options.collectDiagnostics If true, don't throw on bad
+   * CGML. Instead, build the graph from the valid lines and keep track of all
+   * problems in this.diagnostics.
+   * @param {object} options.loader Resolves and loads @included files.
+   * @param {string} options.path Where the CGML came from, if anywhere.
+   */
+  constructor(cgml, {collectDiagnostics = false, loader = null, path = ''} = {}) {
+    if (cgml instanceof AdjacencyList) {
+      this.adjList = cgml;
+    } else if (collectDiagnostics) {
+      const {graph, diagnostics} = parseCGMLWithDiagnostics(cgml, {loader, path});
+      this.adjList = graph;
+      this.diagnostics = diagnostics;
+    } else {
+      this.adjList = parseCGML(cgml, {loader, path});
+    }
+  }
+
+  /**
+   * Like the constructor, but works with asynchronous loaders.
+   * @param {string} cgml
+   * @param {object} options Same as the constructor.
+   * @returns {Promise<CausalGraph>}
+   */
+  static async fromCGMLAsync(cgml, {collectDiagnostics = false, loader = null, path = ''} = {}) {
+    const {graph, diagnostics} = await parseCGMLAsync(cgml, {
+      loader, path, tolerant: collectDiagnostics});
+    const causalGraph = new CausalGraph(graph);
+    causalGraph.diagnostics = diagnostics;
+    return causalGraph;
   }
 
-  analyzeLoops() {
-    // Run Tarjan's algorithm for finding strongly connected components (SCCs)
-    // of a graph.
-    const cycles = tarjanSCC(this.adjList);
+  /**
+   * Finds the feedback loops in this graph.
+   *
+   * @param {object} options Limits for large graphs, see findCycles.
+   * @param {number} options.maxLength Longest loop to look for, in nodes.
+   * @param {number} options.maxCycles Stop after finding this many loops.
+   * @param {number} options.timeBudget Stop after this many milliseconds.
+   * @returns {CausalLoop[]}
+   */
+  analyzeLoops(options = {}) {
+    return this.analyzeLoopsWithTruncation(options).loops;
+  }
+
+  /**
+   * Like analyzeLoops, but also says whether the limits cut the search short.
+   *
+   * @param {object} options Same as analyzeLoops.
+   * @returns {{loops: CausalLoop[], truncated: boolean}}
+   */
+  analyzeLoopsWithTruncation(options = {}) {
+    // Johnson's algorithm finds every elementary cycle, within the limits.
+    const {cycles, truncated} = findCycles(this.adjList, options);
 
     const out = [];
     for (const cycle of cycles) {
       const cl = new CausalLoop();
       cl.nodes = cycle;
+      cl.name = this.adjList.loopNames[cl.key] ?? '';
 
       const edges = [];
       // Assuming uniqueness of edges from one node to another
@@ -51,23 +113,145 @@ export class CausalGraph {
       cl.edges = edges;
       out.push(cl);
     }
-    return out;
+
+    // Loops whose hashes collide get numbered in order of their keys, so that
+    // each still has its own ID.
+    // Key: hash. Value: loops with that hash.
+    const byHash = new Map();
+    for (const loop of out) {
+      const hash = shortHash(loop.key);
+      if (!byHash.has(hash)) {
+        byHash.set(hash, []);
+      }
+      byHash.get(hash).push(loop);
+    }
+    for (const loops of byHash.values()) {
+      if (loops.length > 1) {
+        loops.sort((a, b) => a.key < b.key ? -1 : 1);
+        for (const [ind, loop] of loops.entries()) {
+          loop.collision = ind;
+        }
+      }
+    }
+    return {loops: out, truncated};
+  }
+
+  /**
+   * Ranks this graph's loops, most central first, see rankLoops.
+   * @param {object} options Same as analyzeLoops.
+   * @returns {LoopMetrics[]}
+   */
+  rankLoops(options = {}) {
+    return rankLoops(this.analyzeLoops(options));
+  }
+
+  /**
+   * Finds how one variable affects another, see traceInfluence.
+   * @param {string} sourceName
+   * @param {string} targetName
+   * @param {object} options Limits on the paths to look for.
+   * @returns {CausalInfluence}
+   */
+  traceInfluence(sourceName, targetName, options = {}) {
+    return traceInfluence(this, sourceName, targetName, options);
+  }
+
+  /**
+   * Looks for systems archetypes in this graph, see detectArchetypes.
+   * @param {object} options
+   * @returns {ArchetypeMatch[]}
+   */
+  detectArchetypes(options = {}) {
+    return detectArchetypes(this, options);
+  }
+
+  /**
+   * Partitions this graph into strongly connected components, ie. clusters of
+   * variables that all feed back into each other, and the variables outside
+   * of any loop.
+   *
+   * @returns {CausalComponent[]} In topological order, so drivers come first.
+   */
+  analyzeComponents() {
+    const components = findStronglyConnectedComponents(this.adjList)
+      .map(nodes => Object.assign(new CausalComponent(), {nodes}));
+    // Key: node name. Value: its component.
+    const componentOf = new Map();
+    for (const component of components) {
+      for (const node of component.nodes) {
+        componentOf.set(node.name, component);
+      }
+    }
+    for (const component of components) {
+      for (const node of component.nodes) {
+        for (const edge of node.adjacentEdges) {
+          const target = componentOf.get(edge.targetName);
+          if (target === component) {
+            component.hasSelfLoop ||= edge.targetName === node.name;
+          } else if (!component.successors.includes(target)) {
+            component.successors.push(target);
+            target.predecessors.push(component);
+          }
+        }
+      }
+    }
+    return components;
+  }
+
+  /**
+   * @returns {CausalGraph} The condensation of this graph: one node per
+   * strongly connected component, named C1, C2, etc. in the order of
+   * analyzeComponents and labelled with the labels of its members. There is a
+   * link between two components if any of their members are linked. If those
+   * links disagree on polarity, the polarity is unknown.
+   */
+  condense() {
+    const components = this.analyzeComponents();
+    const adjList = new AdjacencyList();
+    for (const [ind, component] of components.entries()) {
+      const node = new Node();
+      node.name = `C${ind + 1}`;
+      node.label = component.nodes.map(member => member.label).join(', ');
+      node.subgraphs = [adjList.id];
+      adjList.addNode(node);
+    }
+    const componentInds = new Map(components.flatMap((component, ind) =>
+      component.nodes.map(node => [node.name, ind])));
+    for (const [ind, component] of components.entries()) {
+      // Key: index of the successor. Value: polarities of links to it.
+      const polarities = new Map(component.successors.map(successor =>
+        [componentInds.get(successor.nodes[0].name), new Set()]));
+      for (const edge of component.nodes.flatMap(member => member.adjacentEdges)) {
+        polarities.get(componentInds.get(edge.targetName))?.add(edge.polarity);
+      }
+      for (const [successorInd, successorPolarities] of polarities) {
+        const edge = new Edge();
+        edge.targetName = `C${successorInd + 1}`;
+        edge.polarity = successorPolarities.size === 1 ? [...successorPolarities][0] : 'unknown';
+        adjList.addEdge(`C${ind + 1}`, edge);
+      }
+    }
+    return new CausalGraph(adjList);
   }
 
   /**
    * @returns {string} This graph represented in mermaid.js.
    */
   toMermaid({
-    labelLoops = false, // Show balancing and reinforcing loops.
-    labelDirections = true // Show directions with + and - labels.
+    labelLoops = false, // Show balancing and reinforcing loops, or only the top N.
+    labelDirections = true, // Show directions with + and - labels.
+    labelStrengths = false, // Show edge strengths where they are specified.
+    metadataTooltips = false, // Show node metadata when hovering, needs window.showMetadata.
+    clusterComponents = false, // Draw feedback clusters instead of subgraphs.
+    highlight = null, // {nodeNames, edges} to emphasize, eg. an ArchetypeMatch or CausalInfluence.
   } = {}) {
     let out = `graph ${this.mermaidOrientation}\n`;
 
-    // Calculate loops and mark each loop with R or B depending on loop type,
-    // as well as the cycle index.
-    const loops = labelLoops ? this.analyzeLoops() : [];
-    if (labelLoops) {
-      // console.log(`Found ${loops.length} loops.`);
+    // Calculate loops and mark each loop with its name, or R or B depending on
+    // loop type along with its ID. Only the top N are labelled if asked.
+    let loops = labelLoops ? this.analyzeLoops() : [];
+    if (typeof labelLoops === 'number') {
+      loops = rankLoops(loops).slice(0, labelLoops).map(metrics => metrics.loop);
     }
     // Give each node an index for mermaid output purposes.
     for (const [ind, node] of this.adjList.nodes.entries()) {
@@ -75,37 +259,133 @@ export class CausalGraph {
     }
 
     // Iterate through nodes in the graph, partitioning by subgraph.
-    const partitions = this.adjList.partitionSubgraphs();
+    const partitionMap = this.adjList.partitionSubgraphsById();
+    const subgraphNames = this.adjList.subgraphNames;
+    // Key: subgraph ID. Value: nodes shared with it, but that belong to
+    // another subgraph first. These get drawn as boundary nodes.
+    const boundaryNodes = new Map();
+    for (const node of this.adjList.getSharedNodes()) {
+      for (const subgraphId of node.subgraphs.slice(1)) {
+        if (!partitionMap.has(subgraphId)) {
+          partitionMap.set(subgraphId, []);
+        }
+        if (!boundaryNodes.has(subgraphId)) {
+          boundaryNodes.set(subgraphId, []);
+        }
+        boundaryNodes.get(subgraphId).push(node);
+      }
+    }
+    const partitions = [...partitionMap.entries()];
 
     // 1. Layout the structure of the nodes into subgraphs.
-    if (partitions.length === 0) {
+    // Each boundary node is linked to the node it stands in for.
+    const boundaryLinks = [];
+    if (clusterComponents) {
+      // Each strongly connected component with a loop in it is a cluster.
+      // Nodes outside of any loop are drawn on their own.
+      let clusterCount = 0;
+      for (const component of this.analyzeComponents()) {
+        if (component.isFeedback) {
+          out += `subgraph Cluster ${++clusterCount}\n`;
+          out += nodeListToMermaidNodes(component.nodes);
+          out += `end\n`;
+        } else {
+          out += nodeListToMermaidNodes(component.nodes);
+        }
+      }
+    } else if (partitions.length === 0) {
       throw new Error(`No partitions.`);
-    } else if (partitions.length === 1) {
-      // Just one graph.
-      out += nodeListToMermaidNodes(partitions[0]);
+    } else if (partitions.length === 1 && !subgraphNames[partitions[0][0]]) {
+      // Just one unnamed graph.
+      out += nodeListToMermaidNodes(partitions[0][1]);
     } else {
-      // Render each subgraph with a subgraph ... end declaration.
-      for (const [ind, nodeList] of partitions.entries()) {
-        out += `subgraph Graph ${ind + 1}\n`;
+      // Render each subgraph with a subgraph ... end declaration. Names come
+      // from CGML, so they only go in the quoted title, and never clash with
+      // the generated IDs.
+      for (const [ind, [subgraphId, nodeList]] of partitions.entries()) {
+        const name = subgraphNames[subgraphId] ?? `Graph ${ind + 1}`;
+        out += `subgraph sg${ind + 1} ["${name.replaceAll('"', '#quot;')}"]\n`;
         out += nodeListToMermaidNodes(nodeList);
+        for (const node of boundaryNodes.get(subgraphId) ?? []) {
+          const id = `${node.index}_${ind + 1}`;
+          out += `${id}([${mermaidLabel(node)}])\n`;
+          boundaryLinks.push(`${node.index} -.- ${id}`);
+        }
         out += `end\n`;
       }
     }
 
-    out += this.nodeListToMermaidEdges(this.adjList.nodes, loops, {labelDirections});
+    out += this.nodeListToMermaidEdges(this.adjList.nodes, loops, {labelDirections, labelStrengths});
+
+    // Boundary links come after all edges, so that edges keep their numbers
+    // for linkStyle.
+    if (boundaryLinks.length > 0) {
+      out += boundaryLinks.join('\n') + '\n';
+      const sharedIds = this.adjList.getSharedNodes().map(node => node.index);
+      out += `classDef shared stroke-width:3px\n`;
+      out += `class ${sharedIds.join(',')} shared\n`;
+    }
+
+    if (highlight) {
+      out += `classDef highlighted ${HIGHLIGHT_STYLE}\n`;
+      const nodeIndices = highlight.nodeNames.map(name => this.adjList.findNodeIndexByName(name));
+      if (nodeIndices.length > 0) {
+        out += `class ${nodeIndices.join(',')} highlighted\n`;
+      }
+      // Mermaid numbers links in the order they are drawn, which is node by
+      // node.
+      const highlighted = new Set(highlight.edges);
+      const linkIndices = this.adjList.nodes.flatMap(node => node.adjacentEdges)
+        .flatMap((edge, ind) => highlighted.has(edge) ? [ind] : []);
+      if (linkIndices.length > 0) {
+        out += `linkStyle ${linkIndices.join(',')} ${HIGHLIGHT_LINK_STYLE}\n`;
+      }
+    }
+
+    // Mermaid only supports tooltips on nodes, and only through click, so the
+    // page has to define the callback and pass the rendered diagram to
+    // mermaid's bindFunctions, see causal-graph-element.js.
+    if (metadataTooltips) {
+      for (const node of this.adjList.nodes) {
+        const entries = Object.entries(node.metadata);
+        if (entries.length > 0) {
+          const tooltip = entries.map(([key, value]) => `${key}: ${value}`).join(', ');
+          out += `click ${node.index} showMetadata "${tooltip.replaceAll('"', '#quot;')}"\n`;
+        }
+      }
+    }
 
     return out.trim();
   }
 
   /**
-   * XYZ
+   * Checks this graph for modelling mistakes, see lintGraph.
+   * @param {object} options Per-rule configuration.
+   * @returns {LintDiagnostic[]}
+   */
+  lint(options = {}) {
+    return lintGraph(this.adjList, options);
+  }
+
+  /**
+   * @returns {string} This graph represented in canonical CGML.
+   */
+  toCGML() {
+    return toCGML(this.adjList);
+  }
+
+  /**
+   * Merges another graph into this one, see AdjacencyList.concat.
    * @param {CausalGraph} graph
+   * @param {object} options
+   * @param {string} options.strategy How to resolve conflicts.
+   * @returns {MergeReport}
    */
-  concat(graph) {
-    this.adjList.concat(graph.adjList);
+  concat(graph, options = {}) {
+    return this.adjList.concat(graph.adjList, options);
   }
 
-  nodeListToMermaidEdges(nodes, loops, {labelDirections = true} ={}) {
+  nodeListToMermaidEdges(nodes, loops, {labelDirections = true, labelStrengths = false} ={}) {
     let out = '';
     // Go through adjacency list and spit out mermaid.js graph, edge by edge.
     for (const fromNode of nodes) {
@@ -117,8 +397,16 @@ export class CausalGraph {
           label += ` <b>${feedbackLabel}</b>`;
         }
         label = label.trim();
+        if (labelStrengths && edge.strength !== null) {
+          label = `<i>${edge.strength}</i> ` + label;
+        }
+        if (edge.delay > 0) {
+          // CLDs mark delays with a double bar across the arrow.
+          const delayLength = edge.delay === 1 ? '' : edge.delay;
+          label = `<b>‖${delayLength}</b> ` + label;
+        }
         if (labelDirections) {
-          const direction = edge.isOpposite ? '-' : '+';
+          const direction = edge.isOpposite ? '-' : edge.isUnknown ? '?' : '+';
           label = `<b>${direction}</b> ` + label;
         }
         if (label) {
@@ -137,10 +425,10 @@ export class CausalGraph {
 
   getFeedbackLoopLabel(fromNode, toNode, loops) {
     const loopLabels = [];
-    for (const [ind, loop] of loops.entries()) {
+    for (const loop of loops) {
       if (loop.isDirectlyConnected(fromNode, toNode)) {
         // console.log(`${fromNode.label} is connected to ${toNode.label}`);
-        loopLabels.push(`${loop.typeShort}${ind + 1}`);
+        loopLabels.push(loop.label);
       }
     }
     let label = '';
@@ -156,23 +444,70 @@ export class CausalLoop {
   nodes = [];
   // Which edges are part of this loop.
   edges = [];
+  // The name given to this loop in CGML, if any.
+  name = '';
+  // Among loops whose keys hash the same, the position of this one's key.
+  collision = 0;
+
+  /**
+   * @returns {string} Identifies this loop by the nodes it goes through, see
+   * loopKey.
+   */
+  get key() {
+    return loopKey(this.nodes.map(node => node.name));
+  }
+
+  /**
+   * @returns {string} A short hash of the key, which stays the same as the
+   * rest of the graph changes. In the rare case of a collision, later keys
+   * get a suffix, eg. 1a2b3c4d.2.
+   */
+  get id() {
+    const hash = shortHash(this.key);
+    return this.collision > 0 ? `${hash}.${this.collision + 1}` : hash;
+  }
+
+  /**
+   * @returns {string} The loop's name, or else its type and ID, eg. R-1a2b3c4d.
+   */
+  get label() {
+    return this.name || `${this.typeShort}-${this.id}`;
+  }
 
   /**
    * A balancing loop has an odd number of opposite edges (eg. 1)
    * A reinforcing loop has an even number of opposite edges (eg. 0, 2).
+   * If any edge has unknown polarity, so does the loop.
    *
-   * @returns "BALANCING" | "REINFORCING"
+   * @returns "BALANCING" | "REINFORCING" | "UNKNOWN"
    */
   get type() {
+    if (this.isUnknown) {
+      return 'UNKNOWN';
+    }
     return this.isBalancing ? 'BALANCING' : 'REINFORCING';
   }
 
+  get isUnknown() {
+    return this.edges.some(edge => edge.isUnknown);
+  }
+
   get isBalancing() {
     const oppositeEdges = this.edges.filter(edge => edge.isOpposite);
-    return oppositeEdges.length % 2 !== 0;
+    return !this.isUnknown && oppositeEdges.length % 2 !== 0;
+  }
+
+  /**
+   * @returns {number} How many nodes, and so edges, are in this loop.
+   */
+  get length() {
+    return this.nodes.length;
   }
 
   get typeShort() {
+    if (this.isUnknown) {
+      return 'U';
+    }
     return this.isBalancing ? 'B' : 'R';
   }
 
@@ -200,8 +535,74 @@ export class CausalLoop {
   }
 }
 
+/**
+ * A strongly connected component: a set of nodes which can all reach each
+ * other, and which no other node can both reach and be reached from.
+ */
+export class CausalComponent {
+  // Which nodes are part of this component, in graph order.
+  nodes = [];
+  // Components that members of this component link to.
+  successors = [];
+  // Components with members that link to this component.
+  predecessors = [];
+  // Whether a member links to itself.
+  hasSelfLoop = false;
+
+  /**
+   * @returns {boolean} true iff the members are in a loop together, or it's
+   * a single node that links to itself.
+   */
+  get isFeedback() {
+    return this.nodes.length > 1 || this.hasSelfLoop;
+  }
+
+  /**
+   * @returns {boolean} true iff nothing outside this component affects it,
+   * so it is driven exogenously.
+   */
+  get isDriver() {
+    return this.predecessors.length === 0;
+  }
+
+  /**
+   * @returns {boolean} true iff this component affects nothing outside itself,
+   * so it is purely a downstream outcome.
+   */
+  get isOutcome() {
+    return this.successors.length === 0;
+  }
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The 32 bit FNV-1a hash of text, in hex.
+ */
+function shortHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
 function nodeToMermaid(node) {
-  return `${node.index}[${node.label}]`;
+  const label = mermaidLabel(node);
+  // Stocks get a double-bordered box to set them apart from auxiliaries.
+  if (node.type === 'stock') {
+    return `${node.index}[[${label}]]`;
+  }
+  return `${node.index}[${label}]`;
+}
+
+function mermaidLabel(node) {
+  // Mermaid needs labels with brackets and such to be quoted.
+  let label = node.label;
+  if (/[()[\]{}"|]/.test(label)) {
+    label = `"${label.replaceAll('"', '#quot;')}"`;
+  }
+  return label;
 }
 
 function nodeListToMermaidNodes(nodeList) {
@@ -0,0 +1,184 @@
+// The overall effect of one variable on another: every path agrees that it's
+// positive or negative, they disagree (mixed), some paths have an unknown
+// polarity but the others agree (unknown), or there is no path at all (none).
+export const EFFECTS = ['positive', 'negative', 'mixed', 'unknown', 'none'];
+
+/**
+ * A chain of links from one node to another, without visiting any node twice.
+ */
+export class CausalPath {
+  // Which nodes the path goes through, from source to target.
+  nodes = [];
+  // The edges between consecutive nodes.
+  edges = [];
+
+  /**
+   * @returns {number} How many links the path has.
+   */
+  get length() {
+    return this.edges.length;
+  }
+
+  /**
+   * @returns {string} One of POLARITIES: negative if an odd number of links
+   * are, positive if an even number are, and unknown if any link is.
+   */
+  get polarity() {
+    if (this.edges.some(edge => edge.isUnknown)) {
+      return 'unknown';
+    }
+    return this.edges.filter(edge => edge.isOpposite).length % 2 === 0 ? 'positive' : 'negative';
+  }
+
+  toString() {
+    return this.nodes.map(node => node.name).join(' -> ');
+  }
+}
+
+/**
+ * How one variable affects another, through every path between them.
+ */
+export class CausalInfluence {
+  // Names of the nodes the influence goes from and to.
+  sourceName = '';
+  targetName = '';
+  // CausalPaths from source to target, shortest first.
+  paths = [];
+  // Whether paths may have been left out, because there were more than
+  // maxPaths, or because the search stopped at maxLength short of the target.
+  truncated = false;
+  // Links on the shortest path, even if it wasn't looked for, or null if
+  // there is no path.
+  shortestLength = null;
+
+  /**
+   * @returns {string} One of EFFECTS.
+   */
+  get effect() {
+    const polarities = new Set(this.paths.map(path => path.polarity));
+    if (polarities.size === 0) {
+      return 'none';
+    }
+    if (polarities.has('positive') && polarities.has('negative')) {
+      return 'mixed';
+    }
+    return polarities.size === 1 ? [...polarities][0] : 'unknown';
+  }
+
+  /**
+   * @returns {string[]} Names of the nodes on any of the paths.
+   */
+  get nodeNames() {
+    return [...new Set(this.paths.flatMap(path => path.nodes.map(node => node.name)))];
+  }
+
+  /**
+   * @returns {Edge[]} The edges on any of the paths, without duplicates.
+   */
+  get edges() {
+    return [...new Set(this.paths.flatMap(path => path.edges))];
+  }
+
+  toString() {
+    const count = `${this.paths.length}${this.truncated ? '+' : ''}`;
+    return `"${this.sourceName}" affects "${this.targetName}": ${this.effect} ` +
+      `(${count} paths, shortest ${this.shortestLength ?? 'none'})`;
+  }
+}
+
+/**
+ * Finds how one variable affects another, ie. every simple path between them.
+ *
+ * @param {CausalGraph} graph
+ * @param {string} sourceName
+ * @param {string} targetName
+ * @param {object} options
+ * @param {number} options.maxLength Longest path to look for, in links.
+ * @param {number} options.maxPaths Stop after finding this many paths.
+ * Hitting either limit sets truncated on the result.
+ * @returns {CausalInfluence}
+ */
+export function traceInfluence(graph, sourceName, targetName, {maxLength = Infinity, maxPaths = Infinity} = {}) {
+  const adjList = graph.adjList;
+  for (const name of [sourceName, targetName]) {
+    if (!adjList.findNodeByName(name)) {
+      throw new Error(`No node found with name ${name}.`);
+    }
+  }
+  if (sourceName === targetName) {
+    throw new Error(`"${sourceName}" can only affect itself through loops, see analyzeLoops.`);
+  }
+  const influence = new CausalInfluence();
+  influence.sourceName = sourceName;
+  influence.targetName = targetName;
+
+  // Only nodes that lead to the target are worth visiting.
+  const leadsToTarget = new Set([targetName]);
+  const queue = [targetName];
+  while (queue.length > 0) {
+    for (const [source] of adjList.findInboundAdjacentNodes(queue.pop())) {
+      if (!leadsToTarget.has(source.name)) {
+        leadsToTarget.add(source.name);
+        queue.push(source.name);
+      }
+    }
+  }
+
+  // Breadth first search for the shortest path, regardless of the limits.
+  // Key: node name. Value: links from the source.
+  const distances = new Map([[sourceName, 0]]);
+  const frontier = [sourceName];
+  for (let ind = 0; ind < frontier.length && !distances.has(targetName); ind++) {
+    for (const edge of adjList.findNodeByName(frontier[ind]).adjacentEdges) {
+      if (!distances.has(edge.targetName)) {
+        distances.set(edge.targetName, distances.get(frontier[ind]) + 1);
+        frontier.push(edge.targetName);
+      }
+    }
+  }
+  influence.shortestLength = distances.get(targetName) ?? null;
+
+  const source = adjList.findNodeByName(sourceName);
+  const path = new CausalPath();
+  path.nodes.push(source);
+  // Each frame is [node, index of the next edge to follow].
+  const callStack = [[source, 0]];
+  while (callStack.length > 0) {
+    const frame = callStack[callStack.length - 1];
+    const [node, edgeInd] = frame;
+    if (edgeInd >= node.adjacentEdges.length) {
+      callStack.pop();
+      path.nodes.pop();
+      path.edges.pop();
+      continue;
+    }
+    frame[1]++;
+    const edge = node.adjacentEdges[edgeInd];
+    const next = adjList.findNodeByName(edge.targetName);
+    if (!leadsToTarget.has(next.name) || path.nodes.includes(next)) {
+      continue;
+    }
+    if (path.edges.length >= maxLength) {
+      // Going any further might have found another path.
+      influence.truncated = true;
+      continue;
+    }
+    if (next.name === targetName) {
+      if (influence.paths.length === maxPaths) {
+        influence.truncated = true;
+        break;
+      }
+      const found = new CausalPath();
+      found.nodes = [...path.nodes, next];
+      found.edges = [...path.edges, edge];
+      influence.paths.push(found);
+      continue;
+    }
+    path.nodes.push(next);
+    path.edges.push(edge);
+    callStack.push([next, 0]);
+  }
+
+  influence.paths.sort((a, b) => a.length - b.length);
+  return influence;
+}
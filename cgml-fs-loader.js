@@ -0,0 +1,21 @@
+import {readFileSync} from 'node:fs';
+import {dirname, resolve} from 'node:path';
+
+/**
+ * Loads CGML @includes from the filesystem, relative to the including file or
+ * to baseDir at the top level. Synchronous, so it works with parseCGML too.
+ */
+export class FileSystemLoader {
+  constructor(baseDir = process.cwd()) {
+    this.baseDir = baseDir;
+  }
+
+  resolve(includePath, fromPath) {
+    const dir = fromPath ? dirname(resolve(this.baseDir, fromPath)) : this.baseDir;
+    return resolve(dir, includePath);
+  }
+
+  load(path) {
+    return readFileSync(path, 'utf8');
+  }
+}
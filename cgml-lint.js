@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Prints syntax errors and lint diagnostics for CGML files, eg.
+ *
+ *   node cgml-lint.js model.cgml other.cgml
+ *
+ * Exits with a non-zero status if any errors were found.
+ */
+import {readFileSync} from 'node:fs';
+
+import {parseCGMLWithDiagnostics} from './cgml.js';
+import {FileSystemLoader} from './cgml-fs-loader.js';
+import {lintGraph} from './graph-linter.js';
+
+const paths = process.argv.slice(2);
+if (paths.length === 0) {
+  console.error('Usage: node cgml-lint.js <file.cgml>...');
+  process.exit(2);
+}
+
+// Paths are relative to the current directory, and includes to the file
+// they're in.
+const loader = new FileSystemLoader();
+let errorCount = 0;
+for (const path of paths) {
+  const {graph, diagnostics} = parseCGMLWithDiagnostics(readFileSync(path, 'utf8'),
+    {loader, path});
+  for (const diagnostic of [...diagnostics, ...lintGraph(graph)]) {
+    console.log(`${diagnostic.severity}: ${diagnostic}`);
+    if (diagnostic.severity === 'error') {
+      errorCount++;
+    }
+  }
+}
+process.exit(errorCount > 0 ? 1 : 0);
@@ -0,0 +1,98 @@
+/**
+ * Loaders resolve and load the files named in CGML @include directives. Each
+ * loader has two methods:
+ *
+ *   resolve(includePath, fromPath) returns a canonical path for includePath,
+ *     relative to the file that included it (fromPath, empty at the top).
+ *   load(resolvedPath) returns the file's CGML, or a promise for it. Loaders
+ *     that return promises only work with parseCGMLAsync.
+ *
+ * A filesystem loader for node lives in cgml-fs-loader.js, so that this module
+ * stays usable in the browser.
+ */
+
+/**
+ * Loads CGML from an in-memory object, mostly useful for tests.
+ */
+export class MapLoader {
+  // Key: path. Value: CGML.
+  files = {};
+
+  constructor(files = {}) {
+    this.files = files;
+  }
+
+  resolve(includePath, fromPath) {
+    return joinPath(fromPath, includePath);
+  }
+
+  load(path) {
+    if (this.files[path] === undefined) {
+      throw new Error(`No file at "${path}".`);
+    }
+    return this.files[path];
+  }
+}
+
+/**
+ * Loads CGML saved in localStorage, one key per path.
+ */
+export class LocalStorageLoader {
+  constructor(prefix = 'CGML:') {
+    this.prefix = prefix;
+  }
+
+  resolve(includePath, fromPath) {
+    return joinPath(fromPath, includePath);
+  }
+
+  load(path) {
+    const cgml = localStorage.getItem(this.prefix + path);
+    if (cgml === null) {
+      throw new Error(`Nothing saved under "${this.prefix + path}".`);
+    }
+    return cgml;
+  }
+}
+
+/**
+ * Fetches CGML over HTTP, relative to baseUrl. Asynchronous, so use with
+ * parseCGMLAsync.
+ */
+export class FetchLoader {
+  constructor(baseUrl = globalThis.location?.href) {
+    this.baseUrl = baseUrl;
+  }
+
+  resolve(includePath, fromPath) {
+    return new URL(includePath, fromPath || this.baseUrl).href;
+  }
+
+  async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Fetching "${url}" failed with ${response.status}.`);
+    }
+    return response.text();
+  }
+}
+
+/**
+ * Resolves a relative path against the directory of fromPath, using forward
+ * slashes. Absolute paths (starting with /) are returned as is.
+ *
+ * @param {string} fromPath
+ * @param {string} includePath
+ * @returns {string}
+ */
+export function joinPath(fromPath, includePath) {
+  const parts = includePath.startsWith('/') ? [] : fromPath.split('/').slice(0, -1);
+  for (const part of includePath.split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  }
+  return (includePath.startsWith('/') ? '/' : '') + parts.join('/');
+}
@@ -1,4 +1,26 @@
-import {AdjacencyList, Edge, Node} from "./adjacency-list.js";
+import {AdjacencyList, Edge, loopKey, Node, NODE_TYPES, POLARITIES, SourceSpan} from "./adjacency-list.js";
+
+// Matches an arrow like -> --> o-> or ?->, optionally with a strength like
+// --[0.3]->, a delay like --||-> or --|5|->, and followed by an inline edge
+// label in the form -->|label|.
+const ARROW_REGEX = /(o|\?|--?)?(?:\[([^\]]*)\])?(?:\|([^|]*)\|)?->(?:\|([^|]*)\|)?/y;
+// How many steps a delay marker without an explicit length stands for.
+const DEFAULT_DELAY = 1;
+// Separates a node from its attributes in a node declaration.
+const DECLARATION_OPERATOR = ':=';
+// Matches the first line of a group, eg. group "Economy" {
+// Names can contain backslash escapes, eg. group "The \"Economy\"" {
+const GROUP_START_REGEX = /^\s*group\s+(?:"((?:[^"\\]|\\.)*)"|(\S+))\s*\{\s*$/;
+const GROUP_END = '}';
+// Groups are identified by name, so same-named groups merge when concatenated.
+const GROUP_ID_PREFIX = 'group:';
+// Matches a directive like @include "labor.cgml"
+const INCLUDE_REGEX = /^\s*@include\s+"([^"]*)"\s*$/;
+// Names a feedback loop, eg. loop R_growth: A, B, C. The := keeps this from
+// matching declarations of nodes called loop something.
+const LOOP_NAME_REGEX = /^(\s*loop\s+)([^\s:]+)\s*:(?!=)/;
+// One node in a loop's list: anything but commas, unless quoted.
+const LOOP_NODE_REGEX = /(?:"(?:[^"\\]|\\.)*"|\\.|[^,"\\])+/g;
 
 /**
  * CGML format is a collection of lines that look like this:
@@ -6,34 +28,395 @@ import {AdjacencyList, Edge, Node} from "./adjacency-list.js";
  *   Source Node (Alt1) --> Target Node (Alt2)
  *
  * Note that the (Alts) are optional and spaces between the arrow are required.
+ * Names containing parentheses, arrows and the like can be quoted, and any
+ * character can be escaped with a backslash, eg. \" or \(:
+ *
+ *   "Cost (USD)" (C) --> "Demand -> Supply gap"
+ *
  * CGML also supports negative edges like this:
  *
  *   S o-> T
  *
+ * When it isn't clear yet which way S moves T, the edge's polarity can be left
+ * unknown:
+ *
+ *   S ?-> T
+ *
  * CGML format also supports edge labels in the following format:
  *
  *   S --> T // A pretty long edge label that may get turned into multiline.
  *
+ * The // has to be at the start of the line or after whitespace, so it's fine
+ * for names to contain URLs like http://example.com.
+ *
+ * Several edges can be chained on one line. The trailing label applies to the
+ * last edge, and any edge can have its own label between pipes:
+ *
+ *   Births -->|more births| Population --> Deaths o-> Population // Deaths
+ *
+ * Edges can be given a strength, which the simulator uses instead of its
+ * default. Strengths are non-negative; polarity still comes from the arrow:
+ *
+ *   S --[0.3]-> T
+ *   S o[2]-> T
+ *
+ * Delayed edges are marked with a double bar, optionally with the number of
+ * simulation steps the influence takes to arrive (one by default):
+ *
+ *   S --||-> T
+ *   S o|5|-> T
+ *   S --[0.3]|5|-> T
+ *
+ * Lines with := declare a node's initial value and other attributes, all of
+ * which are optional. The simulator picks these up automatically:
+ *
+ *   Population (P) := 100 units=people target=500 type=stock
+ *
+ * Nodes and edges can carry any other metadata in braces at the end of a
+ * declaration or edge line. On a chain, it belongs to the last edge:
+ *
+ *   Population := {owner: Ann, description: "People, all of them."}
+ *   Births --> Population {confidence: low, source: "census 2020"} // Births
+ *
+ * Lines can be wrapped in named groups, each of which becomes a subgraph.
+ * Quoted group names can escape quotes with a backslash, as node names can:
+ *
+ *   group "Economy" {
+ *     Jobs --> Income
+ *   }
+ *
+ * Feedback loops can be given names, which are shown instead of their IDs.
+ * The loop's nodes are listed in order, starting from any of them:
+ *
+ *   loop R_growth: Births, Population
+ *
+ * Other CGML files can be included, each becoming its own subgraph. Includes
+ * are resolved relative to the including file by a loader (see
+ * cgml-loaders.js), and must not form a cycle:
+ *
+ *   @include "labor.cgml"
+ *
  * @param {string} cgml
+ * @param {object} options
+ * @param {object} options.loader Resolves and loads @included files. Must load
+ * synchronously, otherwise use parseCGMLAsync.
+ * @param {string} options.path Where cgml came from, if anywhere.
  * @returns {AdjacencyList}
  */
-export function parseCGML(cgml) {
+export function parseCGML(cgml, {loader = null, path = ''} = {}) {
+  return parseDocument(cgml, {tolerant: false, loader, path}).graph;
+}
+
+/**
+ * Tolerant version of parseCGML. Rather than throwing on the first bad line,
+ * every problem is collected as a diagnostic and the offending line is
+ * skipped, so the returned graph contains whatever the valid lines describe.
+ *
+ * @param {string} cgml
+ * @param {object} options Same as parseCGML.
+ * @returns {{graph: AdjacencyList, diagnostics: CGMLDiagnostic[]}}
+ */
+export function parseCGMLWithDiagnostics(cgml, {loader = null, path = ''} = {}) {
+  return parseDocument(cgml, {tolerant: true, loader, path});
+}
+
+/**
+ * Like parseCGML, but works with asynchronous loaders (eg. FetchLoader) by
+ * loading every included file up front.
+ *
+ * @param {string} cgml
+ * @param {object} options
+ * @param {object} options.loader Resolves and loads @included files.
+ * @param {string} options.path Where cgml came from, if anywhere.
+ * @param {boolean} options.tolerant Collect diagnostics instead of throwing.
+ * @returns {Promise<{graph: AdjacencyList, diagnostics: CGMLDiagnostic[]}>}
+ */
+export async function parseCGMLAsync(cgml, {loader = null, path = '', tolerant = false} = {}) {
+  // Without a loader, @includes are reported the same way as in parseCGML.
+  if (!loader) {
+    return parseDocument(cgml, {tolerant, loader, path});
+  }
+  // Key: resolved path. Value: file contents, or the error loading it.
+  const files = new Map();
+  const preload = async (text, fromPath) => {
+    for (const line of splitLines(text)) {
+      const match = line.match(INCLUDE_REGEX);
+      if (!match) {
+        continue;
+      }
+      const resolved = loader.resolve(match[1], fromPath);
+      if (files.has(resolved)) {
+        continue;
+      }
+      try {
+        files.set(resolved, await loader.load(resolved));
+      } catch (e) {
+        files.set(resolved, e);
+        continue;
+      }
+      await preload(files.get(resolved), resolved);
+    }
+  };
+  // Files that include the top level file should find it already loaded,
+  // rather than loading it a second time.
+  const topPath = path ? loader.resolve(path, '') : '';
+  if (topPath) {
+    files.set(topPath, cgml);
+  }
+  await preload(cgml, topPath);
+
+  const preloaded = {
+    resolve: (includePath, fromPath) => loader.resolve(includePath, fromPath),
+    load: (resolved) => {
+      const contents = files.get(resolved);
+      if (contents instanceof Error) {
+        throw contents;
+      }
+      return contents;
+    },
+  };
+  return parseDocument(cgml, {tolerant, loader: preloaded, path});
+}
+
+/**
+ * @param {string} cgml
+ * @param {object} options
+ * @param {boolean} options.tolerant If false, throw on the first error.
+ * @param {object} options.loader Resolves and loads @included files.
+ * @param {string} options.path Where cgml came from, if anywhere.
+ * @param {string[]} options.includeStack Resolved paths currently being
+ * included, to detect cycles.
+ * @param {Map<string, AdjacencyList>} options.includedGraphs Key: resolved
+ * path. Value: the graph of a file that was already included elsewhere in the
+ * same document.
+ * @returns {{graph: AdjacencyList, diagnostics: CGMLDiagnostic[]}}
+ */
+function parseDocument(cgml, {tolerant, loader = null, path = '',
+  includeStack = path && loader ? [loader.resolve(path, '')] : [], includedGraphs = new Map()}) {
   const graph = new AdjacencyList();
-  for (const line of cgml.trim().split('\n')) {
-    const subGraph = parseCGMLLine(line);
-    graph.concat(subGraph);
+  const diagnostics = [];
+  // The group we're currently inside of, if any.
+  let group = null;
+  const handleError = (e) => {
+    if (e instanceof CGMLSyntaxError && !e.diagnostic.file) {
+      e.diagnostic.file = path;
+      e.message = e.diagnostic.toString();
+    }
+    if (!tolerant || !(e instanceof CGMLSyntaxError)) {
+      throw e;
+    }
+    diagnostics.push(e.diagnostic);
+  };
+
+  for (const [ind, line] of splitLines(cgml).entries()) {
+    const lineNumber = ind + 1;
+    const report = (start, end, message) =>
+      makeDiagnostic(line, lineNumber, start, end, message);
+    try {
+      const includeMatch = line.match(INCLUDE_REGEX);
+      if (includeMatch) {
+        const included = includeDocument(includeMatch[1], {
+          tolerant, loader, path, includeStack, includedGraphs,
+          report: (message) => report(0, line.length, message)});
+        diagnostics.push(...included.diagnostics);
+        graph.concat(included.graph, {strategy: 'keep-both'});
+        continue;
+      }
+
+      const groupMatch = line.match(GROUP_START_REGEX);
+      if (groupMatch) {
+        if (group) {
+          throw new CGMLSyntaxError(report(groupMatch.index,
+            line.length, 'Groups can not be nested.'));
+        }
+        const name = (groupMatch[1] ?? groupMatch[2]).replace(/\\(.)/g, '$1');
+        const id = `${GROUP_ID_PREFIX}${name}`;
+        graph.subgraphNames[id] = name;
+        group = {id, name, diagnostic: report(0, line.length,
+          `Group "${name}" is never closed.`)};
+        continue;
+      }
+      if (line.trim() === GROUP_END) {
+        if (!group) {
+          const start = line.indexOf(GROUP_END);
+          throw new CGMLSyntaxError(report(start, start + GROUP_END.length,
+            'Closing brace without a matching group.'));
+        }
+        group = null;
+        continue;
+      }
+
+      const loopMatch = line.match(LOOP_NAME_REGEX);
+      if (loopMatch) {
+        const [prefix, opening, name] = loopMatch;
+        const fail = (message) => new CGMLSyntaxError(
+          report(opening.length, opening.length + name.length, message));
+        const nodeNames = parseLoopNodes(line, prefix.length, {lineNumber, diagnostics});
+        if (nodeNames.length === 0) {
+          throw fail(`Loop "${name}" must list the nodes it goes through.`);
+        }
+        const key = loopKey(nodeNames);
+        if (graph.loopNames[key]) {
+          throw fail(`This loop is already called "${graph.loopNames[key]}".`);
+        }
+        if (Object.values(graph.loopNames).includes(name)) {
+          throw fail(`Another loop is already called "${name}".`);
+        }
+        graph.loopNames[key] = name;
+        continue;
+      }
+
+      const subGraph = parseCGMLLine(line, {lineNumber, diagnostics});
+      const subgraphId = group ? group.id : graph.id;
+      for (const node of subGraph.nodes) {
+        node.sourceFile = path;
+        if (group) {
+          node.subgraphs = [group.id];
+        }
+        const spans = [...node.occurrences, ...node.adjacentEdges.map(e => e.span)];
+        for (const span of spans) {
+          span.file = path;
+          span.subgraph = subgraphId;
+        }
+      }
+      // Keep repeated and conflicting links, so the linter can point them out.
+      graph.concat(subGraph, {strategy: 'keep-both'});
+    } catch (e) {
+      handleError(e);
+    }
   }
-  // Flatten the subgraph to be just its own IDs.
-  graph.flattenSubgraphs();
-  return graph;
+  if (group) {
+    handleError(new CGMLSyntaxError(group.diagnostic));
+  }
+
+  // Nodes outside of any group belong to the document's own subgraph.
+  for (const node of graph.nodes) {
+    if (node.subgraphs.length === 0) {
+      node.subgraphs = [graph.id];
+    }
+  }
+  for (const diagnostic of diagnostics) {
+    diagnostic.file ||= path;
+  }
+  return {graph, diagnostics};
 }
 
 /**
+ * Parses the comma separated list of nodes at the end of a loop line.
  *
  * @param {string} line
- * @returns {Graph}
+ * @param {number} start Where the list starts in line.
+ * @param {object} options Where to put warnings.
+ * @returns {string[]} The names of the nodes.
  */
-export function parseCGMLLine(line) {
+function parseLoopNodes(line, start, {lineNumber, diagnostics}) {
+  const nodeNames = [];
+  for (const match of line.slice(start).matchAll(LOOP_NODE_REGEX)) {
+    if (match[0].trim() === '') {
+      continue;
+    }
+    const offset = start + match.index;
+    const node = parseNodeName(match[0], {lineNumber, diagnostics, line, offset});
+    if (nodeNames.includes(node.name)) {
+      throw new CGMLSyntaxError(makeDiagnostic(line, lineNumber, offset,
+        offset + match[0].length, `Loop goes through "${node.name}" more than once.`));
+    }
+    nodeNames.push(node.name);
+  }
+  return nodeNames;
+}
+
+/**
+ * Loads and parses an @included file, which becomes its own subgraph named
+ * after the include path.
+ *
+ * @param {string} includePath The path as written in the directive.
+ * @param {object} options Same as parseDocument, plus report, which makes a
+ * diagnostic pointing at the directive.
+ * @returns {{graph: AdjacencyList, diagnostics: CGMLDiagnostic[]}}
+ */
+function includeDocument(includePath, {tolerant, loader, path, includeStack, includedGraphs, report}) {
+  if (!loader) {
+    throw new CGMLSyntaxError(report('@include needs a loader to be configured.'));
+  }
+  const resolved = loader.resolve(includePath, path);
+  if (includeStack.includes(resolved)) {
+    const cycle = [...includeStack, resolved].join(' -> ');
+    throw new CGMLSyntaxError(report(`Include cycle: ${cycle}.`));
+  }
+  // A file shared by several includers is only merged once. Later includes
+  // only bring in its nodes, without edges, so that they join its subgraph.
+  if (includedGraphs.has(resolved)) {
+    const shared = includedGraphs.get(resolved);
+    const graph = new AdjacencyList();
+    graph.id = shared.id;
+    graph.subgraphNames = {...shared.subgraphNames};
+    for (const node of shared.nodes) {
+      const copy = node.clone();
+      copy.adjacentEdges = [];
+      copy.occurrences = [];
+      graph.addNode(copy);
+    }
+    return {graph, diagnostics: []};
+  }
+  let contents;
+  try {
+    contents = loader.load(resolved);
+  } catch (e) {
+    throw new CGMLSyntaxError(report(`Could not load "${includePath}": ${e.message}`));
+  }
+  if (typeof contents !== 'string') {
+    throw new CGMLSyntaxError(report(
+      `Could not load "${includePath}" synchronously, use parseCGMLAsync instead.`));
+  }
+
+  const included = parseDocument(contents, {tolerant, loader, path: resolved,
+    includeStack: [...includeStack, resolved], includedGraphs});
+  included.graph.subgraphNames[included.graph.id] = includePath;
+  includedGraphs.set(resolved, included.graph);
+  return included;
+}
+
+/**
+ * A problem found while parsing CGML. Lines and columns are 1-based, and
+ * endColumn points one past the last offending character.
+ */
+export class CGMLDiagnostic {
+  line = 0;
+  column = 0;
+  endColumn = 0;
+  // Either 'error' (the line was skipped) or 'warning' (the line was parsed).
+  severity = 'error';
+  message = '';
+  // The offending text, ie. the line between column and endColumn.
+  text = '';
+  // Which file the problem is in, empty if parsing a string.
+  file = '';
+
+  toString() {
+    const location = `Line ${this.line}, column ${this.column}`;
+    return `${this.file ? `${this.file}: ` : ''}${location}: ${this.message}`;
+  }
+}
+
+export class CGMLSyntaxError extends Error {
+  constructor(diagnostic) {
+    super(diagnostic.toString());
+    this.name = 'CGMLSyntaxError';
+    this.diagnostic = diagnostic;
+  }
+}
+
+/**
+ *
+ * @param {string} line
+ * @param {object} options
+ * @param {number} options.lineNumber Used when reporting problems.
+ * @param {CGMLDiagnostic[]} options.diagnostics Warnings get appended here.
+ * @returns {AdjacencyList}
+ * @throws {CGMLSyntaxError} If the line can't be parsed.
+ */
+export function parseCGMLLine(line, {lineNumber = 1, diagnostics = []} = {}) {
   // Ignore comments which start with //.
   if (line.trim().startsWith('//')) {
     return new AdjacencyList();
@@ -42,66 +425,746 @@ export function parseCGMLLine(line) {
   if (line.trim() === '') {
     return new AdjacencyList();
   }
-  // Try to extract the edge label out of the line. It is denoted by a trailing
-  // comment.
-  let [nodeText, edgeLabel] = line.split('//');
-  if (edgeLabel) {
-    edgeLabel = edgeLabel.trim();
-  }
-  // First, split along the arrow. If there's no arrow, we're in bad shape.
-  const split = nodeText.split('->');
-  if (split.length !== 2) {
-    throw new Error('Each line must contain exactly one arrow.');
-  }
-  let [left, right] = split;
-  // Account for negative arrows.
-  let isOpposite = false;
-  if (left.endsWith('o')) {
-    isOpposite = true;
-    left = left.slice(0, left.length - 1);
-  } else if (left.endsWith('-')) {
-    left = left.slice(0, left.length - 1);
-  }
-  left = left.trim();
-  right = right.trim();
-  const source = parseNodeName(left);
-  const target = parseNodeName(right);
-  const edge = new Edge();
-  edge.targetName = target.name;
-  edge.isOpposite = isOpposite;
-  if (edgeLabel) {
-    edge.label = edgeLabel;
+  const report = (start, end, message, severity) =>
+    makeDiagnostic(line, lineNumber, start, end, message, severity);
+  const context = {line, lineNumber, diagnostics};
+
+  const tokens = tokenizeLine(line, {lineNumber});
+  // The edge label is denoted by a trailing comment.
+  const comment = tokens.find(token => token.type === 'comment');
+  const edgeLabel = comment?.value ?? '';
+  // Metadata goes at the end of the line, just before the comment if any.
+  const metadataTokens = tokens.filter(token => token.type === 'metadata');
+  const [metadata] = metadataTokens;
+  if (metadataTokens.length > 1) {
+    const [, extra] = metadataTokens;
+    throw new CGMLSyntaxError(report(extra.start, extra.end,
+      'A line can only have one set of metadata.'));
+  }
+  const afterMetadata = tokens[tokens.indexOf(metadata) + 1];
+  if (metadata && afterMetadata && afterMetadata.type !== 'comment') {
+    throw new CGMLSyntaxError(report(metadata.start, metadata.end,
+      'Metadata must come at the end of the line.'));
+  }
+
+  // Find all of the arrows. A line can chain several of them, eg.
+  // A --> B o-> C, which describes A --> B and B o-> C.
+  const arrows = tokens.filter(token => token.type === 'arrow');
+  const declarationIndex = tokens.findIndex(token => token.type === 'declaration');
+  if (declarationIndex !== -1) {
+    if (arrows.length > 0) {
+      const [arrow] = arrows;
+      throw new CGMLSyntaxError(report(arrow.start, arrow.end,
+        'Node declarations can not contain arrows.'));
+    }
+    return parseDeclaration(tokens, declarationIndex, context);
+  }
+  if (arrows.length === 0) {
+    const [start, end] = trimmedRange(line, 0, comment?.start ?? line.length);
+    throw new CGMLSyntaxError(report(start, end,
+      'Each line must contain at least one arrow or a := declaration.'));
+  }
+
+  // Split the rest of the tokens into the nodes on either side of each arrow.
+  const segments = [[]];
+  for (const token of tokens) {
+    if (token.type === 'arrow') {
+      segments.push([]);
+    } else if (token.type !== 'comment' && token.type !== 'metadata') {
+      segments[segments.length - 1].push(token);
+    }
   }
-  source.adjacentEdges.push(edge);
 
   const graph = new AdjacencyList();
-  graph.nodes = [source, target];
+  const chain = [];
+  // The span of each node's text, used for the spans of the edges.
+  const chainSpans = [];
+  for (const [i, segment] of segments.entries()) {
+    const parsed = nodeFromTokens(segment, context);
+    if (!parsed.name) {
+      const arrow = arrows[Math.min(i, arrows.length - 1)];
+      const message = i === 0 ? 'Missing source node before the arrow.' :
+        i === arrows.length ? 'Missing target node after the arrow.' :
+        'Missing node between arrows.';
+      throw new CGMLSyntaxError(report(arrow.start, arrow.end, message));
+    }
+    // The same node can appear more than once in a chain.
+    let node = graph.findNodeByName(parsed.name);
+    if (node === null) {
+      node = parsed;
+      graph.addNode(node);
+    } else {
+      node.occurrences.push(...parsed.occurrences);
+    }
+    chain.push(node);
+    chainSpans.push(parsed.occurrences[0]);
+  }
+
+  // Then connect each consecutive pair of nodes with an edge.
+  for (const [ind, arrow] of arrows.entries()) {
+    const edge = parseArrow(arrow.match, report);
+    edge.targetName = chain[ind + 1].name;
+    // Edges span from the start of their source to the end of their target.
+    edge.span = chainSpans[ind].clone();
+    edge.span.endColumn = chainSpans[ind + 1].endColumn;
+    // The trailing label and metadata belong to the last edge in the chain.
+    const isLast = ind === arrows.length - 1;
+    if (isLast && metadata) {
+      edge.metadata = {...metadata.value};
+    }
+    if (isLast && edgeLabel) {
+      if (edge.label) {
+        diagnostics.push(report(comment.start, comment.end,
+          'Edge already has an inline label, so the trailing label is ignored.',
+          'warning'));
+      } else {
+        edge.label = edgeLabel;
+      }
+    }
+    graph.addEdge(chain[ind].name, edge);
+  }
+
+  return graph;
+}
+
+/**
+ * Splits (part of) a line of CGML into tokens, each with a type, the start and
+ * end index of its raw text in the line, and a value:
+ *
+ *   text: A run of node text. Quoted strings and backslash escapes are
+ *     resolved, so "Cost (USD)" has the value Cost (USD). Surrounding
+ *     whitespace isn't included.
+ *   alias: The contents of (parentheses), which may themselves be nested.
+ *   arrow: An arrow, whose match property is a match of ARROW_REGEX.
+ *   declaration: The := operator. Text after it is split on whitespace into
+ *     one text token per attribute.
+ *   metadata: A {key: value, ...} block that starts the line or follows
+ *     whitespace. Its value is an object of strings. Keys and values can be
+ *     quoted.
+ *   comment: Everything after a // that starts the line or follows whitespace,
+ *     so that URLs like http://example.com are left alone.
+ *
+ * @param {string} line
+ * @param {object} options
+ * @param {number} options.start Where to start tokenizing.
+ * @param {number} options.end Where to stop tokenizing.
+ * @returns {object[]} tokens
+ * @throws {CGMLSyntaxError} On unterminated quotes, parentheses and braces.
+ */
+function tokenizeLine(line, {lineNumber = 1, start = 0, end = line.length} = {}) {
+  const fail = (from, to, message) =>
+    new CGMLSyntaxError(makeDiagnostic(line, lineNumber, from, to, message));
+  const tokens = [];
+  // The text token being built, and whitespace that will be added to it if
+  // more text follows.
+  let text = null;
+  let pendingSpace = '';
+  let inAttributes = false;
+  const appendText = (value, from, to) => {
+    if (text === null) {
+      text = {type: 'text', value: '', start: from, end: to};
+    }
+    text.value += pendingSpace + value;
+    text.end = to;
+    pendingSpace = '';
+  };
+  const flushText = () => {
+    if (text !== null) {
+      tokens.push(text);
+    }
+    text = null;
+    pendingSpace = '';
+  };
+  // Reads a quoted string or escape sequence starting at i, returning its
+  // value and the index just past it.
+  const readLiteral = (i) => {
+    if (line[i] === '\\') {
+      if (i + 1 >= end) {
+        throw fail(i, i + 1, 'Backslash at the end of the line has nothing to escape.');
+      }
+      return [line[i + 1], i + 2];
+    }
+    let value = '';
+    let j = i + 1;
+    while (j < end && line[j] !== '"') {
+      if (line[j] === '\\' && j + 1 < end) {
+        j++;
+      }
+      value += line[j++];
+    }
+    if (j >= end) {
+      throw fail(i, end, 'Missing closing quote.');
+    }
+    return [value, j + 1];
+  };
+  // Reads a metadata block starting at the { at i, returning its entries and
+  // the index just past the closing }.
+  const readMetadata = (i) => {
+    const metadata = {};
+    let j = i + 1;
+    const skipSpace = () => {
+      while (j < end && /\s/.test(line[j])) {
+        j++;
+      }
+    };
+    // Reads a key or value, which runs up to one of the stop characters
+    // unless it's quoted.
+    const readPart = (stops) => {
+      skipSpace();
+      let value;
+      if (line[j] === '"') {
+        [value, j] = readLiteral(j);
+      } else {
+        const from = j;
+        while (j < end && !stops.includes(line[j])) {
+          j++;
+        }
+        value = line.slice(from, j).trim();
+      }
+      skipSpace();
+      return value;
+    };
+    const malformed = (from) => fail(from, Math.min(Math.max(j, from + 1), end),
+      'Metadata must look like {key: value, other: "quoted value"}.');
+
+    skipSpace();
+    while (j < end && line[j] !== '}') {
+      const entryStart = j;
+      const key = readPart(':,{}');
+      if (line[j] !== ':' || key === '') {
+        throw malformed(entryStart);
+      }
+      j++;
+      metadata[key] = readPart(',{}');
+      if (line[j] === ',') {
+        j++;
+        skipSpace();
+      } else if (j < end && line[j] !== '}') {
+        throw malformed(entryStart);
+      }
+    }
+    if (j >= end) {
+      throw fail(i, end, 'Missing closing brace.');
+    }
+    return [metadata, j + 1];
+  };
+
+  let i = start;
+  while (i < end) {
+    const char = line[i];
+    if (line.startsWith('//', i) && (i === start || /\s/.test(line[i - 1]))) {
+      flushText();
+      tokens.push({type: 'comment', value: line.slice(i + 2, end).trim(), start: i, end});
+      break;
+    }
+    if (char === '{' && (i === start || /\s/.test(line[i - 1]))) {
+      flushText();
+      const [value, next] = readMetadata(i);
+      tokens.push({type: 'metadata', value, start: i, end: next});
+      i = next;
+      continue;
+    }
+    if (char === '"' || char === '\\') {
+      const [value, next] = readLiteral(i);
+      appendText(value, i, next);
+      i = next;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      if (inAttributes) {
+        flushText();
+      } else if (text !== null) {
+        pendingSpace += char;
+      }
+      i++;
+      continue;
+    }
+    if (line.startsWith(DECLARATION_OPERATOR, i)) {
+      flushText();
+      tokens.push({type: 'declaration', value: DECLARATION_OPERATOR, start: i,
+        end: i + DECLARATION_OPERATOR.length});
+      inAttributes = true;
+      i += DECLARATION_OPERATOR.length;
+      continue;
+    }
+    if (char === 'o' || char === '-' || char === '?') {
+      ARROW_REGEX.lastIndex = i;
+      const match = ARROW_REGEX.exec(line);
+      if (match && i + match[0].length <= end) {
+        flushText();
+        tokens.push({type: 'arrow', value: match[0], start: i,
+          end: i + match[0].length, match});
+        i += match[0].length;
+        continue;
+      }
+    }
+    if (char === '(' && !inAttributes) {
+      flushText();
+      let value = '';
+      let depth = 1;
+      let j = i + 1;
+      while (j < end) {
+        if (line[j] === '"' || line[j] === '\\') {
+          const [literal, next] = readLiteral(j);
+          value += literal;
+          j = next;
+          continue;
+        }
+        depth += line[j] === '(' ? 1 : line[j] === ')' ? -1 : 0;
+        if (depth === 0) {
+          break;
+        }
+        value += line[j++];
+      }
+      if (j >= end) {
+        throw fail(i, end, 'Missing closing parenthesis.');
+      }
+      tokens.push({type: 'alias', value: value.trim(), start: i, end: j + 1});
+      i = j + 1;
+      continue;
+    }
+    appendText(char, i, i + 1);
+    i++;
+  }
+  flushText();
+  return tokens;
+}
 
+/**
+ * Turns the text and alias tokens for a single node, ie. Label (Name), into a
+ * Node. If there are no tokens, the node's name is empty.
+ *
+ * @param {object[]} tokens
+ * @param {object} context The line being parsed, and where to put warnings.
+ * @returns {Node}
+ */
+function nodeFromTokens(tokens, {line, lineNumber, diagnostics}) {
+  const node = new Node();
+  if (tokens.length === 0) {
+    return node;
+  }
+  const last = tokens[tokens.length - 1];
+  node.occurrences = [makeSpan(lineNumber, tokens[0].start, last.end)];
+
+  let ind = 0;
+  let label = '';
+  if (tokens[ind].type === 'text') {
+    label = tokens[ind++].value;
+  }
+  const alias = tokens[ind]?.type === 'alias' ? tokens[ind++] : null;
+  if (alias === null) {
+    node.name = label;
+    node.label = label;
+  } else {
+    if (!alias.value) {
+      throw new CGMLSyntaxError(makeDiagnostic(line, lineNumber, alias.start,
+        alias.end, 'Alias in parentheses must not be empty.'));
+    }
+    node.name = alias.value;
+    node.label = label || alias.value;
+    node.occurrences[0].label = label;
+  }
+
+  if (ind < tokens.length) {
+    diagnostics.push(makeDiagnostic(line, lineNumber, tokens[ind].start,
+      last.end, 'Text after the alias is ignored.', 'warning'));
+  }
+  return node;
+}
+
+/**
+ * Parses a line like "Population (P) := 100 units=people target=500 type=stock"
+ * into a graph containing just that node. Everything after the := is optional.
+ *
+ * @param {object[]} tokens The tokens of the whole line.
+ * @param {number} declarationIndex Index of the := token.
+ * @param {object} context The line being parsed, and where to put warnings.
+ * @returns {AdjacencyList}
+ */
+function parseDeclaration(tokens, declarationIndex, {line, lineNumber, diagnostics}) {
+  const report = (start, end, message, severity) =>
+    makeDiagnostic(line, lineNumber, start, end, message, severity);
+  const node = nodeFromTokens(tokens.slice(0, declarationIndex),
+    {line, lineNumber, diagnostics});
+  if (!node.name) {
+    const declaration = tokens[declarationIndex];
+    throw new CGMLSyntaxError(report(declaration.start, declaration.end,
+      'Missing node before the declaration.'));
+  }
+
+  const metadata = tokens.find(token => token.type === 'metadata');
+  if (metadata) {
+    node.metadata = {...metadata.value};
+  }
+  const attributes = tokens.slice(declarationIndex + 1)
+    .filter(token => token.type === 'text');
+  for (const [ind, {value: text, start, end}] of attributes.entries()) {
+    const parseNumber = (str) => {
+      const value = Number(str);
+      if (str === '' || !Number.isFinite(value)) {
+        throw new CGMLSyntaxError(report(start, end, `Expected a number, got "${str}".`));
+      }
+      return value;
+    };
+
+    const equalsIndex = text.indexOf('=');
+    if (equalsIndex === -1) {
+      // A bare value is only allowed up front, as the initial value.
+      if (ind !== 0) {
+        throw new CGMLSyntaxError(report(start, end,
+          'Expected an attribute in the form key=value.'));
+      }
+      node.initialValue = parseNumber(text);
+      continue;
+    }
+    const key = text.slice(0, equalsIndex);
+    const value = text.slice(equalsIndex + 1);
+    if (key === 'initial') {
+      node.initialValue = parseNumber(value);
+    } else if (key === 'target') {
+      node.target = parseNumber(value);
+    } else if (key === 'units') {
+      node.units = value;
+    } else if (key === 'type') {
+      if (!NODE_TYPES.includes(value)) {
+        throw new CGMLSyntaxError(report(start, end,
+          `Node type must be one of ${NODE_TYPES.join(', ')}.`));
+      }
+      node.type = value;
+    } else {
+      diagnostics.push(report(start, end,
+        `Unknown attribute "${key}" is ignored.`, 'warning'));
+    }
+  }
+
+  const graph = new AdjacencyList();
+  graph.nodes = [node];
   return graph;
 }
 
+/**
+ * @param {RegExpMatchArray} arrow A match of ARROW_REGEX.
+ * @param {function} report Makes a diagnostic for a range of the line.
+ * @returns {Edge} An edge with everything but its target filled in.
+ */
+function parseArrow(arrow, report) {
+  const [text, head = '', strength, delay, inlineLabel] = arrow;
+  const edge = new Edge();
+  // Account for negative arrows, and ones whose polarity isn't known yet.
+  edge.polarity = head === 'o' ? 'negative' : head === '?' ? 'unknown' : 'positive';
+  if (strength !== undefined) {
+    const value = Number(strength);
+    if (strength.trim() === '' || !Number.isFinite(value) || value < 0) {
+      const start = arrow.index + head.length;
+      throw new CGMLSyntaxError(report(start, start + strength.length + 2,
+        'Edge strength must be a non-negative number.'));
+    }
+    edge.strength = value;
+  }
+  if (delay !== undefined) {
+    const value = delay.trim() === '' ? DEFAULT_DELAY : Number(delay);
+    if (!Number.isInteger(value) || value < 1) {
+      const start = text.indexOf('|') + arrow.index;
+      throw new CGMLSyntaxError(report(start, start + delay.length + 2,
+        'Edge delay must be a positive whole number of steps.'));
+    }
+    edge.delay = value;
+  }
+  if (inlineLabel !== undefined) {
+    edge.label = inlineLabel.trim();
+  }
+  return edge;
+}
+
 /**
  *
  * Given input that looks like "Hello World (HW)", parse out into ["HW", "Hello World"].
  * The short name in parens is optional, and becomes the main name for the node.
  * Nodes can also just have a long name, eg. " Hello World" will get parsed as ["Hello World"].
+ * Either part can be quoted, eg. "Cost (USD)" (C).
  *
  * @param {string} str
+ * @param {object} options Where str sits in its line, for reporting problems.
  * @return {Node}
  */
-export function parseNodeName(str) {
-  const doubleName = /(.*?)(\((.*)\))/;
-  const match = str.match(doubleName);
+export function parseNodeName(str, {lineNumber = 1, diagnostics = [], line = str, offset = 0} = {}) {
+  const tokens = tokenizeLine(line, {lineNumber, start: offset, end: offset + str.length});
+  const nodeTokens = tokens.filter(token => token.type === 'text' || token.type === 'alias');
+  return nodeFromTokens(nodeTokens, {line, lineNumber, diagnostics});
+}
 
-  const node = new Node();
+function splitLines(cgml) {
+  return cgml.split(/\r?\n/);
+}
 
-  if (match === null) {
-    const name = str.trim();
-    node.name = name;
-    node.label = name;
-  } else {
-    node.name = match[3].trim();
-    node.label = match[1].trim();
+/**
+ * @returns {number[]} [start, end] of str.slice(start, end) without the
+ * surrounding whitespace.
+ */
+function trimmedRange(str, start, end) {
+  while (start < end && /\s/.test(str[start])) {
+    start++;
   }
-  return node;
-}
\ No newline at end of file
+  while (end > start && /\s/.test(str[end - 1])) {
+    end--;
+  }
+  return [start, end];
+}
+
+/**
+ * @param {number} lineNumber 1-based line number.
+ * @param {number} start 0-based index into the line.
+ * @param {number} end 0-based index into the line, exclusive.
+ * @returns {SourceSpan} A span without a file or subgraph (yet).
+ */
+function makeSpan(lineNumber, start, end) {
+  const span = new SourceSpan();
+  span.line = lineNumber;
+  span.column = start + 1;
+  span.endColumn = end + 1;
+  return span;
+}
+
+/**
+ * @param {string} line The whole line of CGML.
+ * @param {number} lineNumber 1-based line number.
+ * @param {number} start 0-based index into line.
+ * @param {number} end 0-based index into line, exclusive.
+ * @returns {CGMLDiagnostic}
+ */
+function makeDiagnostic(line, lineNumber, start, end, message, severity = 'error') {
+  const diagnostic = new CGMLDiagnostic();
+  diagnostic.line = lineNumber;
+  diagnostic.column = start + 1;
+  diagnostic.endColumn = end + 1;
+  diagnostic.severity = severity;
+  diagnostic.message = message;
+  diagnostic.text = line.slice(start, end);
+  return diagnostic;
+}
+
+/**
+ * Serializes an adjacency list into canonical CGML, such that parsing the
+ * output yields a structurally equal graph. Nodes, edges and groups are sorted
+ * by name, so equal graphs always serialize the same way.
+ *
+ * Subgraphs are written as groups. Edges between two different subgraphs come
+ * after them, so that every node is first mentioned in a group it belongs to.
+ * Nodes shared between groups are mentioned in each of them. Loop names come
+ * last.
+ *
+ * @param {AdjacencyList} adjList
+ * @returns {string}
+ */
+export function toCGML(adjList) {
+  const partition = adjList.partitionSubgraphsById();
+  const sharedNodes = adjList.getSharedNodes();
+  // Shared nodes can belong to subgraphs that nothing else belongs to.
+  for (const node of sharedNodes) {
+    for (const subgraphId of node.subgraphs) {
+      if (!partition.has(subgraphId)) {
+        partition.set(subgraphId, []);
+      }
+    }
+  }
+  // Each subgraph becomes a block: either the top level, or a named group.
+  // Only groups can share nodes, so a top level that does becomes a group too.
+  const blocks = [];
+  for (const [ind, [subgraphId, nodes]] of [...partition.entries()].entries()) {
+    const isShared = sharedNodes.some(node => node.subgraphs.includes(subgraphId));
+    const isTopLevel = !isShared && (subgraphId === adjList.id ||
+      (partition.size === 1 && !adjList.subgraphNames[subgraphId]));
+    const name = isTopLevel ? null :
+      adjList.subgraphNames[subgraphId] ?? `Graph ${ind + 1}`;
+    blocks.push({
+      id: subgraphId,
+      name,
+      nodes: nodes.slice().sort(compareNodes),
+      // Nodes that belong to another block first get mentioned here too, to
+      // keep track of their membership.
+      sharedNodes: sharedNodes.filter(node => node.subgraphs.indexOf(subgraphId) > 0)
+        .sort(compareNodes),
+      edges: [],
+    });
+  }
+  blocks.sort((a, b) => a.name === null ? -1 : b.name === null ? 1 :
+    compareStrings(a.name, b.name));
+  const blockById = new Map(blocks.map(block => [block.id, block]));
+
+  // Edges go in the first block, from the source's point of view, that both
+  // of their nodes belong to.
+  const crossEdges = [];
+  for (const node of adjList.nodes) {
+    for (const edge of node.adjacentEdges) {
+      const target = adjList.findNodeByName(edge.targetName);
+      const subgraphId = node.subgraphs.find(id =>
+        blockById.has(id) && target.subgraphs.includes(id));
+      const list = subgraphId ? blockById.get(subgraphId).edges : crossEdges;
+      list.push([node, edge]);
+    }
+  }
+
+  const mentioned = new Set();
+  const nodeText = (node) => {
+    if (mentioned.has(node.name)) {
+      return quoteIfNeeded(node.name);
+    }
+    mentioned.add(node.name);
+    return node.label && node.label !== node.name ?
+      `${quoteIfNeeded(node.label)} (${quoteIfNeeded(node.name)})` :
+      quoteIfNeeded(node.name);
+  };
+  const edgeText = ([source, edge]) => {
+    const target = adjList.findNodeByName(edge.targetName);
+    const line = `${nodeText(source)} ${arrowToCGML(edge)} ${nodeText(target)}` +
+      metadataToCGML(edge.metadata);
+    return edge.label ? `${line} // ${edge.label}` : line;
+  };
+
+  const sections = [];
+  for (const block of blocks) {
+    const edges = block.edges.sort(compareEdges);
+    // Declare nodes that have attributes, or that wouldn't otherwise be
+    // mentioned inside of their block.
+    const connected = new Set(edges.flatMap(([source, edge]) =>
+      [source.name, edge.targetName]));
+    const lines = [];
+    for (const node of block.nodes) {
+      const attributes = declarationAttributes(node);
+      if (attributes || !connected.has(node.name)) {
+        lines.push(`${nodeText(node)} ${DECLARATION_OPERATOR}${attributes}`);
+      }
+    }
+    for (const node of block.sharedNodes) {
+      if (!connected.has(node.name)) {
+        lines.push(`${nodeText(node)} ${DECLARATION_OPERATOR}`);
+      }
+    }
+    lines.push(...edges.map(edgeText));
+
+    if (block.name === null) {
+      sections.push(lines);
+    } else {
+      const name = block.name.replace(/["\\]/g, '\\$&');
+      sections.push([`group "${name}" {`, ...lines.map(line => `  ${line}`), GROUP_END]);
+    }
+  }
+  sections.push(crossEdges.sort(compareEdges).map(edgeText));
+  sections.push(Object.entries(adjList.loopNames)
+    .sort(([, a], [, b]) => compareStrings(a, b))
+    .map(([key, name]) => {
+      const nodeNames = JSON.parse(key).map(nodeName => nodeName.includes(',') ?
+        `"${nodeName.replace(/["\\]/g, '\\$&')}"` : quoteIfNeeded(nodeName));
+      return `loop ${name}: ${nodeNames.join(', ')}`;
+    }));
+
+  return sections.filter(lines => lines.length > 0)
+    .map(lines => lines.join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Normalizes hand-written CGML into its canonical form. Note that comments are
+ * not preserved, and included files are inlined.
+ *
+ * @param {string} cgml
+ * @param {object} options Same as parseCGML.
+ * @returns {string}
+ */
+export function formatCGML(cgml, options = {}) {
+  return toCGML(parseCGML(cgml, options));
+}
+
+/**
+ * @param {Edge} edge
+ * @returns {string} The CGML arrow for the edge, eg. -->, ?-> or o[0.3]|2|->
+ */
+function arrowToCGML(edge) {
+  let modifiers = '';
+  if (edge.strength !== null) {
+    modifiers += `[${edge.strength}]`;
+  }
+  if (edge.delay > 0) {
+    modifiers += edge.delay === DEFAULT_DELAY ? '||' : `|${edge.delay}|`;
+  }
+  if (edge.isOpposite) {
+    return `o${modifiers}->`;
+  }
+  if (edge.isUnknown) {
+    return `?${modifiers}->`;
+  }
+  return modifiers ? `--${modifiers}->` : '-->';
+}
+
+/**
+ * @param {Node} node
+ * @returns {string} The part of a declaration after the :=, including a
+ * leading space. Empty if there is nothing to declare.
+ */
+function declarationAttributes(node) {
+  let out = '';
+  if (node.initialValue !== null) {
+    out += ` ${node.initialValue}`;
+  }
+  if (node.units) {
+    // Units like "people per year" need quotes to stay one attribute.
+    const plain = /^[^\s"\\(){}]+$/.test(node.units) && !node.units.includes('//');
+    out += ` units=${plain ? node.units : `"${node.units.replace(/["\\]/g, '\\$&')}"`}`;
+  }
+  if (node.target !== null) {
+    out += ` target=${node.target}`;
+  }
+  if (node.type !== 'auxiliary') {
+    out += ` type=${node.type}`;
+  }
+  return out + metadataToCGML(node.metadata);
+}
+
+/**
+ * @param {object} metadata
+ * @returns {string} The metadata in braces, with a leading space. Empty if
+ * there is no metadata.
+ */
+function metadataToCGML(metadata) {
+  const entries = Object.entries(metadata);
+  if (entries.length === 0) {
+    return '';
+  }
+  const quote = (text) => text === '' || text !== text.trim() || /[:,{}"\\]/.test(text) ?
+    `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+  return ` {${entries.map(([key, value]) => `${quote(key)}: ${quote(value)}`).join(', ')}}`;
+}
+
+/**
+ * @param {string} text A node name or label.
+ * @returns {string} The text, quoted and escaped if it would otherwise be
+ * parsed as something else.
+ */
+function quoteIfNeeded(text) {
+  // At the start of a line, text can also be mistaken for a directive.
+  const looksLikeDirective = [LOOP_NAME_REGEX, GROUP_START_REGEX, INCLUDE_REGEX]
+    .some(regex => regex.test(text));
+  const needsQuotes = text === '' || text !== text.trim() || looksLikeDirective ||
+    /[()"\\]|->|(^|\s)(\/\/|\{)|:=/.test(text);
+  if (!needsQuotes) {
+    return text;
+  }
+  return `"${text.replace(/["\\]/g, '\\$&')}"`;
+}
+
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareNodes(a, b) {
+  return compareStrings(a.name, b.name);
+}
+
+function compareEdges([sourceA, edgeA], [sourceB, edgeB]) {
+  return compareStrings(sourceA.name, sourceB.name) ||
+    compareStrings(edgeA.targetName, edgeB.targetName) ||
+    POLARITIES.indexOf(edgeA.polarity) - POLARITIES.indexOf(edgeB.polarity) ||
+    (edgeA.strength ?? -1) - (edgeB.strength ?? -1) ||
+    edgeA.delay - edgeB.delay ||
+    compareStrings(edgeA.label, edgeB.label);
+}
@@ -0,0 +1,203 @@
+import {AdjacencyList} from './adjacency-list.js';
+import {CausalGraph} from './causal-graph.js';
+import {padOrCut} from './graph-simulator.js';
+
+// Mermaid fills for leverage scores, from lowest to highest.
+const SCORE_STYLES = [
+  'fill:#f7fbff,stroke:#9ecae1',
+  'fill:#deebf7,stroke:#6baed6',
+  'fill:#9ecae1,stroke:#3182bd',
+  'fill:#4292c6,stroke:#08519c,color:#fff',
+  'fill:#08519c,stroke:#08306b,color:#fff',
+];
+
+/**
+ * Structural measures of how much leverage a node has over the rest of the
+ * graph.
+ */
+export class NodeLeverage {
+  node = null;
+  // Number of other nodes linking to this one, and that this one links to.
+  inDegree = 0;
+  outDegree = 0;
+  // How many shortest paths between other nodes go through this one.
+  betweenness = 0;
+  // Number of loops through this node, of each type.
+  reinforcingLoops = 0;
+  balancingLoops = 0;
+  // Loops with links of unknown polarity are neither of the above.
+  loopCount = 0;
+  // From 0 to 1, see analyzeLeverage.
+  score = 0;
+
+  /**
+   * @returns {boolean} true iff reinforcing and balancing loops meet here.
+   */
+  get isJunction() {
+    return this.reinforcingLoops > 0 && this.balancingLoops > 0;
+  }
+}
+
+/**
+ * The nodes of a graph, ranked by leverage.
+ */
+export class LeverageReport {
+  // The CausalGraph that was analyzed.
+  graph = null;
+  // A NodeLeverage for every node, highest score first.
+  rows = [];
+  // Whether loop analysis was cut short, so loop counts may be too low.
+  truncated = false;
+
+  /**
+   * Produces a text table with a row for each node, in the same style as
+   * GraphSimulatorSimple.textSummary.
+   */
+  toTable({labelChars = 20} = {}) {
+    const columns = [['In', 4], ['Out', 4], ['Betweenness', 11], ['Loops', 5], ['R/B', 7], ['Score', 5]];
+    let out = `| ${padOrCut('Node', labelChars)} | ` +
+      `${columns.map(([title, width]) => title.padStart(width)).join(' | ')} |\n`;
+    for (const row of this.rows) {
+      const values = [row.inDegree, row.outDegree, row.betweenness.toFixed(1), row.loopCount,
+        `${row.reinforcingLoops}/${row.balancingLoops}${row.isJunction ? '*' : ''}`, row.score.toFixed(2)];
+      const cells = values.map((value, ind) => String(value).padStart(columns[ind][1]));
+      out += `| ${padOrCut(row.node.label, labelChars)} | ${cells.join(' | ')} |\n`;
+    }
+    return out;
+  }
+
+  /**
+   * @param {object} options Passed to CausalGraph.toMermaid.
+   * @returns {string} The graph in mermaid.js, with nodes shaded by score.
+   */
+  toMermaid(options = {}) {
+    let out = this.graph.toMermaid(options);
+    // Key: index into SCORE_STYLES. Value: indices of nodes with that shade.
+    const buckets = new Map();
+    for (const row of this.rows) {
+      const bucket = Math.min(SCORE_STYLES.length - 1, Math.floor(row.score * SCORE_STYLES.length));
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(this.graph.adjList.findNodeIndexByName(row.node.name));
+    }
+    for (const [bucket, indices] of [...buckets].sort(([a], [b]) => a - b)) {
+      out += `\nclassDef leverage${bucket} ${SCORE_STYLES[bucket]}`;
+      out += `\nclass ${indices.sort((a, b) => a - b).join(',')} leverage${bucket}`;
+    }
+    return out;
+  }
+}
+
+/**
+ * Ranks the nodes of a graph by how much leverage they have. The score is
+ * the average of four measures, each scaled so that the highest in the graph
+ * is 1: degree (in plus out), betweenness, number of loops, and whether
+ * reinforcing and balancing loops meet at the node.
+ *
+ * @param {AdjacencyList|CausalGraph} graph
+ * @param {object} options Limits for finding loops, see analyzeLoops.
+ * @returns {LeverageReport}
+ */
+export function analyzeLeverage(graph, options = {}) {
+  const causalGraph = graph instanceof AdjacencyList ? new CausalGraph(graph) : graph;
+  const adjList = causalGraph.adjList;
+  const report = new LeverageReport();
+  report.graph = causalGraph;
+
+  // Key: node name. Value: its NodeLeverage.
+  const byName = new Map(adjList.nodes.map(node =>
+    [node.name, Object.assign(new NodeLeverage(), {node})]));
+  const successors = adjList.nodes.map(node => [...new Set(node.adjacentEdges
+    .map(edge => adjList.findNodeIndexByName(edge.targetName))
+    .filter(ind => adjList.nodes[ind] !== node))]);
+  for (const [ind, targets] of successors.entries()) {
+    byName.get(adjList.nodes[ind].name).outDegree = targets.length;
+    for (const target of targets) {
+      byName.get(adjList.nodes[target].name).inDegree++;
+    }
+  }
+  for (const [ind, betweenness] of betweennessCentrality(successors).entries()) {
+    byName.get(adjList.nodes[ind].name).betweenness = betweenness;
+  }
+
+  const {loops, truncated} = causalGraph.analyzeLoopsWithTruncation(options);
+  report.truncated = truncated;
+  for (const loop of loops) {
+    for (const node of loop.nodes) {
+      const row = byName.get(node.name);
+      row.loopCount++;
+      if (loop.type === 'REINFORCING') {
+        row.reinforcingLoops++;
+      } else if (loop.type === 'BALANCING') {
+        row.balancingLoops++;
+      }
+    }
+  }
+
+  const rows = [...byName.values()];
+  const scaled = (measure) => {
+    const max = Math.max(0, ...rows.map(measure));
+    return (row) => max > 0 ? measure(row) / max : 0;
+  };
+  const measures = [
+    scaled(row => row.inDegree + row.outDegree),
+    scaled(row => row.betweenness),
+    scaled(row => row.loopCount),
+    (row) => Number(row.isJunction),
+  ];
+  for (const row of rows) {
+    const total = measures.reduce((sum, measure) => sum + measure(row), 0);
+    row.score = Math.round(total / measures.length * 100) / 100;
+  }
+  // Sorting is stable, so ties stay in graph order.
+  report.rows = rows.sort((a, b) => b.score - a.score);
+  return report;
+}
+
+/**
+ * Brandes' algorithm for betweenness centrality in a directed, unweighted
+ * graph.
+ *
+ * @param {number[][]} successors Numeric adjacency list, without duplicates.
+ * @returns {number[]} For each node, the number of shortest paths between
+ * other nodes that go through it, with ties split evenly.
+ */
+function betweennessCentrality(successors) {
+  const betweenness = new Array(successors.length).fill(0);
+  for (let source = 0; source < successors.length; source++) {
+    // For each node, the nodes just before it on its shortest paths.
+    const predecessors = successors.map(() => []);
+    const pathCounts = new Array(successors.length).fill(0);
+    const distances = new Array(successors.length).fill(-1);
+    pathCounts[source] = 1;
+    distances[source] = 0;
+    // Ends up with every reachable node, in the order they were reached.
+    const queue = [source];
+    for (let ind = 0; ind < queue.length; ind++) {
+      const v = queue[ind];
+      for (const w of successors[v]) {
+        if (distances[w] < 0) {
+          distances[w] = distances[v] + 1;
+          queue.push(w);
+        }
+        if (distances[w] === distances[v] + 1) {
+          pathCounts[w] += pathCounts[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+
+    // Work back from the furthest nodes, adding up each node's share.
+    const dependencies = new Array(successors.length).fill(0);
+    for (const w of queue.reverse()) {
+      for (const v of predecessors[w]) {
+        dependencies[v] += pathCounts[v] / pathCounts[w] * (1 + dependencies[w]);
+      }
+      if (w !== source) {
+        betweenness[w] += dependencies[w];
+      }
+    }
+  }
+  return betweenness;
+}
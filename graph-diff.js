@@ -0,0 +1,227 @@
+import {AdjacencyList} from './adjacency-list.js';
+import {CausalGraph} from './causal-graph.js';
+
+// Mermaid styles for whatever changed, based on the usual diff colors.
+const ADDED_STYLE = 'fill:#e6ffed,stroke:#2da44e';
+const REMOVED_STYLE = 'fill:#ffebe9,stroke:#cf222e,stroke-dasharray:4';
+const RELABELED_STYLE = 'fill:#fff8c5,stroke:#bf8700';
+const ADDED_LINK_STYLE = 'stroke:#2da44e,stroke-width:2px';
+const REMOVED_LINK_STYLE = 'stroke:#cf222e,stroke-width:2px,stroke-dasharray:4';
+const FLIPPED_LINK_STYLE = 'stroke:#bf8700,stroke-width:2px';
+
+/**
+ * What changed between two versions of a causal graph. Nodes are matched by
+ * name, edges by their source, target and polarity, and loops by the nodes
+ * they go through, in order. An edge whose polarity doesn't match is taken to
+ * have flipped, as long as there's one on the other side to pair it with.
+ */
+export class GraphDiff {
+  // The graphs that were compared.
+  before = null;
+  after = null;
+  // Nodes only in after.
+  addedNodes = [];
+  // Nodes only in before.
+  removedNodes = [];
+  // Each is {name, oldLabel, newLabel}.
+  relabeledNodes = [];
+  // Each is {sourceName, edge}, with edges from after.
+  addedEdges = [];
+  // Each is {sourceName, edge}, with edges from before.
+  removedEdges = [];
+  // Each is {sourceName, targetName, oldPolarity, newPolarity, edge}, with
+  // the edge from before.
+  polarityFlips = [];
+  // CausalLoops only in after.
+  addedLoops = [];
+  // CausalLoops only in before.
+  removedLoops = [];
+  // Each is {before, after}, a pair of CausalLoops of different types.
+  changedLoops = [];
+
+  get isEmpty() {
+    return [
+      this.addedNodes, this.removedNodes, this.relabeledNodes,
+      this.addedEdges, this.removedEdges, this.polarityFlips,
+      this.addedLoops, this.removedLoops, this.changedLoops,
+    ].every(list => list.length === 0);
+  }
+
+  /**
+   * @returns {string} Both graphs drawn as one mermaid.js graph, with added
+   * nodes and edges in green, removed ones in red, and relabeled nodes and
+   * flipped edges in yellow. Relabeled nodes show their new label. Loops that
+   * were added, removed or changed type are listed in a legend, in the same
+   * colors.
+   */
+  toMermaid() {
+    const union = new AdjacencyList();
+    Object.assign(union.subgraphNames,
+      this.before.adjList.subgraphNames, this.after.adjList.subgraphNames);
+    // Key: edge in the union. Value: its link style.
+    const linkStyles = new Map();
+    const removedEdges = new Set(this.removedEdges.map(({edge}) => edge));
+    const flips = new Map(this.polarityFlips.map(flip => [flip.edge, flip]));
+    for (const node of this.before.adjList.nodes) {
+      const copy = node.clone();
+      copy.label = this.after.adjList.findNodeByName(node.name)?.label ?? node.label;
+      // Cloned edges are in the same order as the originals.
+      for (const [ind, edge] of node.adjacentEdges.entries()) {
+        if (removedEdges.has(edge)) {
+          linkStyles.set(copy.adjacentEdges[ind], REMOVED_LINK_STYLE);
+        } else if (flips.has(edge)) {
+          copy.adjacentEdges[ind].polarity = flips.get(edge).newPolarity;
+          linkStyles.set(copy.adjacentEdges[ind], FLIPPED_LINK_STYLE);
+        }
+      }
+      union.addNode(copy);
+    }
+    for (const node of this.addedNodes) {
+      const copy = node.clone();
+      copy.adjacentEdges = [];
+      // The two versions are different documents, but their top levels are
+      // the same graph.
+      copy.subgraphs = copy.subgraphs.map(id => id === this.after.adjList.id ? this.before.adjList.id : id);
+      union.addNode(copy);
+    }
+    for (const {sourceName, edge} of this.addedEdges) {
+      const copy = edge.clone();
+      union.addEdge(sourceName, copy);
+      linkStyles.set(copy, ADDED_LINK_STYLE);
+    }
+
+    let out = new CausalGraph(union).toMermaid();
+    out += `\nclassDef added ${ADDED_STYLE}`;
+    out += `\nclassDef removed ${REMOVED_STYLE}`;
+    out += `\nclassDef relabeled ${RELABELED_STYLE}`;
+    const classes = [
+      ['added', this.addedNodes.map(node => node.name)],
+      ['removed', this.removedNodes.map(node => node.name)],
+      ['relabeled', this.relabeledNodes.map(({name}) => name)],
+    ];
+    for (const [className, names] of classes) {
+      if (names.length > 0) {
+        const indices = names.map(name => union.findNodeIndexByName(name));
+        out += `\nclass ${indices.join(',')} ${className}`;
+      }
+    }
+    // Mermaid numbers links in the order they are drawn, which is node by node.
+    const edges = union.nodes.flatMap(node => node.adjacentEdges);
+    for (const [ind, edge] of edges.entries()) {
+      if (linkStyles.has(edge)) {
+        out += `\nlinkStyle ${ind} ${linkStyles.get(edge)}`;
+      }
+    }
+
+    // The legend has no links, so it doesn't change the numbering above.
+    const loopChanges = [
+      ...this.addedLoops.map(loop => ['added', `Added ${loop.label}`, loop]),
+      ...this.removedLoops.map(loop => ['removed', `Removed ${loop.label}`, loop]),
+      ...this.changedLoops.map(({before, after}) =>
+        ['relabeled', `Changed ${before.label} to ${after.label}`, after]),
+    ];
+    if (loopChanges.length > 0) {
+      out += `\nsubgraph loop_changes [Loop changes]`;
+      for (const [ind, [className, change, loop]] of loopChanges.entries()) {
+        const text = `${change}: ${loop.nodes.map(node => node.label).join(' -> ')}`;
+        out += `\nL${ind}["${text.replaceAll('"', '#quot;')}"]:::${className}`;
+      }
+      out += `\nend`;
+    }
+    return out;
+  }
+}
+
+/**
+ * Compares two versions of a causal graph.
+ *
+ * @param {CausalGraph} a The graph before.
+ * @param {CausalGraph} b The graph after.
+ * @returns {GraphDiff}
+ */
+export function diffGraphs(a, b) {
+  const diff = new GraphDiff();
+  diff.before = a;
+  diff.after = b;
+  const before = a.adjList;
+  const after = b.adjList;
+
+  for (const node of after.nodes) {
+    const oldNode = before.findNodeByName(node.name);
+    if (!oldNode) {
+      diff.addedNodes.push(node);
+    } else if (oldNode.label !== node.label) {
+      diff.relabeledNodes.push({name: node.name, oldLabel: oldNode.label, newLabel: node.label});
+    }
+  }
+  diff.removedNodes = before.nodes.filter(node => !after.findNodeByName(node.name));
+
+  const beforeEdges = edgesByKey(before);
+  const afterEdges = edgesByKey(after);
+  // Key: edgeKey. Value: edges from before that nothing in after matched.
+  const unmatched = new Map();
+  for (const [key, {sourceName, edges}] of afterEdges) {
+    const oldEdges = [...(beforeEdges.get(key)?.edges ?? [])];
+    // Edges with the same polarity in both graphs haven't changed.
+    const newEdges = edges.filter(edge => {
+      const ind = oldEdges.findIndex(oldEdge => oldEdge.polarity === edge.polarity);
+      if (ind >= 0) {
+        oldEdges.splice(ind, 1);
+      }
+      return ind < 0;
+    });
+    // What's left over on both sides has flipped.
+    for (const [ind, edge] of newEdges.entries()) {
+      const oldEdge = oldEdges[ind];
+      if (!oldEdge) {
+        diff.addedEdges.push({sourceName, edge});
+      } else {
+        diff.polarityFlips.push({sourceName, targetName: edge.targetName,
+          oldPolarity: oldEdge.polarity, newPolarity: edge.polarity, edge: oldEdge});
+      }
+    }
+    unmatched.set(key, oldEdges.slice(newEdges.length));
+  }
+  for (const [key, {sourceName, edges}] of beforeEdges) {
+    for (const edge of unmatched.get(key) ?? edges) {
+      diff.removedEdges.push({sourceName, edge});
+    }
+  }
+
+  const beforeLoops = new Map(a.analyzeLoops().map(loop => [loop.key, loop]));
+  const afterLoops = new Map(b.analyzeLoops().map(loop => [loop.key, loop]));
+  for (const [key, loop] of afterLoops) {
+    const oldLoop = beforeLoops.get(key);
+    if (!oldLoop) {
+      diff.addedLoops.push(loop);
+    } else if (oldLoop.type !== loop.type) {
+      diff.changedLoops.push({before: oldLoop, after: loop});
+    }
+  }
+  diff.removedLoops = [...beforeLoops].filter(([key]) => !afterLoops.has(key))
+    .map(([, loop]) => loop);
+  return diff;
+}
+
+/**
+ * @param {AdjacencyList} adjList
+ * @returns {Map<string, {sourceName: string, edges: Edge[]}>} The edges
+ * between each pair of nodes, keyed by edgeKey.
+ */
+function edgesByKey(adjList) {
+  const out = new Map();
+  for (const node of adjList.nodes) {
+    for (const edge of node.adjacentEdges) {
+      const key = edgeKey(node.name, edge.targetName);
+      if (!out.has(key)) {
+        out.set(key, {sourceName: node.name, edges: []});
+      }
+      out.get(key).edges.push(edge);
+    }
+  }
+  return out;
+}
+
+function edgeKey(sourceName, targetName) {
+  return JSON.stringify([sourceName, targetName]);
+}
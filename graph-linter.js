@@ -0,0 +1,239 @@
+import {AdjacencyList, POLARITIES} from './adjacency-list.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * A modelling problem found by lintGraph.
+ */
+export class LintDiagnostic {
+  // Which rule found the problem, one of the keys of LINT_RULES.
+  ruleId = '';
+  // One of SEVERITIES.
+  severity = 'warning';
+  message = '';
+  // Names of the nodes involved.
+  nodeNames = [];
+  // Where in the CGML the problem is, or null if unknown.
+  span = null;
+
+  toString() {
+    let location = '';
+    if (this.span) {
+      const file = this.span.file ? `${this.span.file}: ` : '';
+      location = `${file}Line ${this.span.line}, column ${this.span.column}: `;
+    }
+    return `${location}${this.message} [${this.ruleId}]`;
+  }
+}
+
+/**
+ * Each rule has a default severity, a short description, and a check function
+ * which calls report(message, nodeNames, span) for every problem it finds.
+ */
+export const LINT_RULES = {
+  'conflicting-polarity': {
+    severity: 'error',
+    description: 'The same pair of nodes is linked with both --> and o->.',
+    check(adjList, report) {
+      for (const node of adjList.nodes) {
+        for (const [targetName, edges] of groupEdgesByTarget(node)) {
+          const opposite = edges.find(edge => edge.polarity === 'negative');
+          const same = edges.find(edge => edge.polarity === 'positive');
+          if (opposite && same) {
+            const later = edges.indexOf(opposite) > edges.indexOf(same) ? opposite : same;
+            report(`"${node.name}" both increases and decreases "${targetName}".`,
+              [node.name, targetName], later.span);
+          }
+        }
+      }
+    },
+  },
+  'duplicate-edge': {
+    severity: 'warning',
+    description: 'The same link appears more than once.',
+    check(adjList, report) {
+      for (const node of adjList.nodes) {
+        for (const [targetName, edges] of groupEdgesByTarget(node)) {
+          for (const polarity of POLARITIES) {
+            const duplicates = edges.filter(edge => edge.polarity === polarity);
+            for (const edge of duplicates.slice(1)) {
+              report(`Link from "${node.name}" to "${targetName}" is repeated.`,
+                [node.name, targetName], edge.span);
+            }
+          }
+        }
+      }
+    },
+  },
+  'alias-label-collision': {
+    severity: 'error',
+    description: 'An alias is given different labels, or different nodes share a label.',
+    check(adjList, report) {
+      for (const node of adjList.nodes) {
+        const labelled = node.occurrences.filter(span => span.label);
+        const other = labelled.find(span => span.label !== labelled[0].label);
+        if (other) {
+          report(`"${node.name}" is labelled both "${labelled[0].label}" and "${other.label}".`,
+            [node.name], other);
+        }
+      }
+      // Key: label. Value: the first node with that label.
+      const byLabel = new Map();
+      for (const node of adjList.nodes) {
+        const first = byLabel.get(node.label);
+        if (first) {
+          report(`"${node.name}" and "${first.name}" are both labelled "${node.label}".`,
+            [first.name, node.name], node.occurrences[0]);
+        } else {
+          byLabel.set(node.label, node);
+        }
+      }
+    },
+  },
+  'unknown-polarity': {
+    severity: 'info',
+    description: 'A link is drawn with ?-> because its polarity is not known yet.',
+    check(adjList, report) {
+      for (const node of adjList.nodes) {
+        for (const edge of node.adjacentEdges) {
+          if (edge.isUnknown) {
+            report(`Polarity of the link from "${node.name}" to "${edge.targetName}" is unknown.`,
+              [node.name, edge.targetName], edge.span);
+          }
+        }
+      }
+    },
+  },
+  'self-loop': {
+    severity: 'warning',
+    description: 'A node links to itself.',
+    check(adjList, report) {
+      for (const node of adjList.nodes) {
+        for (const edge of node.adjacentEdges) {
+          if (edge.targetName === node.name) {
+            report(`"${node.name}" links to itself.`, [node.name], edge.span);
+          }
+        }
+      }
+    },
+  },
+  'orphan-node': {
+    severity: 'warning',
+    description: 'A node has no links at all.',
+    check(adjList, report) {
+      const inDegree = inDegrees(adjList);
+      for (const node of adjList.nodes) {
+        if (node.adjacentEdges.length === 0 && inDegree.get(node.name) === 0) {
+          report(`"${node.name}" is not linked to anything.`, [node.name],
+            node.occurrences[0]);
+        }
+      }
+    },
+  },
+  'sink-node': {
+    severity: 'info',
+    description: 'A node is affected by others, but affects nothing.',
+    check(adjList, report) {
+      const inDegree = inDegrees(adjList);
+      for (const node of adjList.nodes) {
+        if (node.adjacentEdges.length === 0 && inDegree.get(node.name) > 0) {
+          report(`"${node.name}" is a pure outcome: nothing depends on it.`,
+            [node.name], node.occurrences[0]);
+        }
+      }
+    },
+  },
+  'source-node': {
+    severity: 'info',
+    description: 'A node affects others, but nothing affects it.',
+    check(adjList, report) {
+      const inDegree = inDegrees(adjList);
+      for (const node of adjList.nodes) {
+        if (node.adjacentEdges.length > 0 && inDegree.get(node.name) === 0) {
+          report(`"${node.name}" is a pure driver: it depends on nothing.`,
+            [node.name], node.occurrences[0]);
+        }
+      }
+    },
+  },
+};
+
+/**
+ * Checks a graph for modelling mistakes.
+ *
+ * @param {AdjacencyList|CausalGraph} graph
+ * @param {object} options
+ * @param {object} options.rules Key: rule ID. Value: a severity, 'off', or
+ * {severity}. Rules that aren't mentioned use their default severity.
+ * @returns {LintDiagnostic[]} Sorted by position in the CGML.
+ */
+export function lintGraph(graph, {rules = {}} = {}) {
+  const adjList = graph instanceof AdjacencyList ? graph : graph.adjList;
+  for (const ruleId of Object.keys(rules)) {
+    if (!LINT_RULES[ruleId]) {
+      throw new Error(`Unknown lint rule "${ruleId}".`);
+    }
+  }
+
+  const out = [];
+  for (const [ruleId, rule] of Object.entries(LINT_RULES)) {
+    const config = rules[ruleId] ?? rule.severity;
+    const severity = typeof config === 'string' ? config : config.severity ?? rule.severity;
+    if (severity === 'off') {
+      continue;
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for lint rule "${ruleId}".`);
+    }
+    rule.check(adjList, (message, nodeNames, span = null) => {
+      const diagnostic = new LintDiagnostic();
+      diagnostic.ruleId = ruleId;
+      diagnostic.severity = severity;
+      diagnostic.message = message;
+      diagnostic.nodeNames = nodeNames;
+      diagnostic.span = span;
+      out.push(diagnostic);
+    });
+  }
+
+  // Diagnostics without a position go last.
+  return out.sort((a, b) => {
+    if (!a.span || !b.span) {
+      return Number(!a.span) - Number(!b.span);
+    }
+    return (a.span.file ?? '').localeCompare(b.span.file ?? '') ||
+      a.span.line - b.span.line || a.span.column - b.span.column;
+  });
+}
+
+/**
+ * @param {Node} node
+ * @returns {Map<string, Edge[]>} Key: target name. Value: edges to it.
+ */
+function groupEdgesByTarget(node) {
+  const out = new Map();
+  for (const edge of node.adjacentEdges) {
+    if (!out.has(edge.targetName)) {
+      out.set(edge.targetName, []);
+    }
+    out.get(edge.targetName).push(edge);
+  }
+  return out;
+}
+
+/**
+ * @param {AdjacencyList} adjList
+ * @returns {Map<string, number>} Number of incoming edges per node, not
+ * counting links from a node to itself.
+ */
+function inDegrees(adjList) {
+  const inDegree = new Map(adjList.nodes.map(node => [node.name, 0]));
+  for (const node of adjList.nodes) {
+    for (const edge of node.adjacentEdges) {
+      if (edge.targetName !== node.name) {
+        inDegree.set(edge.targetName, inDegree.get(edge.targetName) + 1);
+      }
+    }
+  }
+  return inDegree;
+}
@@ -2,6 +2,8 @@ import {distinfo, sparkline} from './sparkline.js';
 
 const DEFAULT_EDGE_ALPHA = 0.1;
 const DEFAULT_INITIAL_VALUE = 1;
+// Sweeping polarities runs one simulation per combination, so keep it sane.
+const MAX_SWEEP_EDGES = 10;
 
 class BalancingLoopTarget {
   nodeName = '';
@@ -18,15 +20,48 @@ export class GraphSimulatorSimple {
   values = {};
   // Key: node name. Value: the target value.
   targets = {};
+  // How many times run() has been called. history[name][step] is the current
+  // value of each node.
+  step = 0;
+  // Key: "Source->Target". Value: 'positive' or 'negative', the polarity
+  // simulated for an edge whose polarity is unknown in the graph.
+  polarities = {};
+  // Aborted by dispose, to stop following changes to the graph.
+  #listeners = new AbortController();
 
-  constructor(graph, {initialValues = {}, edgeAlpha = DEFAULT_EDGE_ALPHA, targets = {}} = {}) {
+  /**
+   * Edges with unknown polarity can't be simulated as they are, so each of them
+   * needs an entry in polarities. See also sweepPolarities.
+   *
+   * The simulator follows changes to the graph until dispose is called, or
+   * until the signal option, an AbortSignal, is aborted.
+   */
+  constructor(graph, {initialValues = {}, edgeAlpha = DEFAULT_EDGE_ALPHA, targets = {}, polarities = {},
+    signal = null} = {}) {
     this.graph = graph;
     this.edgeAlpha = edgeAlpha;
 
+    for (const [source, edge] of unknownPolarityEdges(graph)) {
+      const key = edgeKey(source.name, edge.targetName);
+      const polarity = polarities[key];
+      if (polarity === undefined) {
+        throw new Error(`Edge "${key}" has unknown polarity. Provide one, or use sweepPolarities.`);
+      }
+      if (polarity !== 'positive' && polarity !== 'negative') {
+        throw new Error(`Polarity for "${key}" must be positive or negative, got "${polarity}".`);
+      }
+      this.polarities[key] = polarity;
+    }
+
+    // Values passed in here take precedence over those declared in CGML. Only
+    // missing values fall back to the default, an initial value of 0 is kept.
     for (const node of graph.adjList.nodes) {
-      let initialValue = initialValues[node.name] || DEFAULT_INITIAL_VALUE;
+      let initialValue = initialValues[node.name] ?? node.initialValue ?? DEFAULT_INITIAL_VALUE;
       this.values[node.name] = initialValue;
       this.history[node.name] = [initialValue];
+      if (node.target !== null) {
+        this.targets[node.name] = node.target;
+      }
     }
 
     for (const nodeName in initialValues) {
@@ -46,13 +81,80 @@ export class GraphSimulatorSimple {
       this.targets[nodeName] = target;
       // console.log(`Added ${nodeName} -> ${target} to targets list.`);
     }
+
+    // Keep up with nodes being added, removed or renamed between steps.
+    if (signal?.aborted) {
+      this.dispose();
+    }
+    const listenerOptions = {signal: this.#listeners.signal};
+    signal?.addEventListener('abort', () => this.dispose(), listenerOptions);
+    const adjList = graph.adjList;
+    adjList.addEventListener('node-add', ({detail: {node}}) => this.addNode(node), listenerOptions);
+    adjList.addEventListener('node-remove', ({detail: {node}}) => this.removeNode(node.name), listenerOptions);
+    adjList.addEventListener('node-rename', ({detail: {node, oldName}}) =>
+      this.renameNode(oldName, node.name), listenerOptions);
+  }
+
+  /**
+   * Stops following changes to the graph, so that the simulator can be
+   * garbage collected before the graph is. Running it afterwards is only
+   * safe if the graph's nodes haven't changed.
+   */
+  dispose() {
+    this.#listeners.abort();
+  }
+
+  /**
+   * Starts simulating a node that was added to the graph. It is assumed to
+   * have had its initial value all along.
+   * @param {Node} node
+   */
+  addNode(node) {
+    const initialValue = node.initialValue ?? DEFAULT_INITIAL_VALUE;
+    this.values[node.name] = initialValue;
+    this.history[node.name] = new Array(this.step + 1).fill(initialValue);
+    if (node.target !== null) {
+      this.targets[node.name] = node.target;
+    }
+  }
+
+  /**
+   * @param {string} nodeName
+   */
+  removeNode(nodeName) {
+    delete this.values[nodeName];
+    delete this.history[nodeName];
+    delete this.targets[nodeName];
+  }
+
+  /**
+   * @param {string} oldName
+   * @param {string} newName
+   */
+  renameNode(oldName, newName) {
+    for (const byName of [this.values, this.history, this.targets]) {
+      if (oldName in byName) {
+        byName[newName] = byName[oldName];
+        delete byName[oldName];
+      }
+    }
+    // By now the graph uses the new name, so look up polarities by the old one.
+    const polarities = {};
+    const previousName = (name) => name === newName ? oldName : name;
+    for (const [source, edge] of unknownPolarityEdges(this.graph)) {
+      const oldKey = edgeKey(previousName(source.name), previousName(edge.targetName));
+      if (oldKey in this.polarities) {
+        polarities[edgeKey(source.name, edge.targetName)] = this.polarities[oldKey];
+      }
+    }
+    this.polarities = polarities;
   }
 
   run() {
     // For each node, calculate its future value based on current value and all
     // incoming edges and their weights.
     // N_t = N_{t-1} + \sum^{i\in in} \alpha_i I_i
-    const newValues = structuredClone(this.values);
+    const newValues = {...this.values};
     const nodes = this.graph.adjList.nodes;
 
     // Calculate the new value for each node in the adjacency list.
@@ -62,8 +164,17 @@ export class GraphSimulatorSimple {
       const inboundNodes = this.graph.adjList.findInboundAdjacentNodes(node.name);
       for (const [inboundNode, edge] of inboundNodes) {
         let target = this.targets[inboundNode.name] || 0;
-        const oppositeMul = edge.isOpposite ? -1 : 1;
-        const delta = (this.values[inboundNode.name] - target) * this.edgeAlpha * oppositeMul;
+        // Delayed edges see the value the inbound node had a few steps ago.
+        const value = this.getDelayedValue(inboundNode.name, edge.delay);
+        const key = edgeKey(inboundNode.name, node.name);
+        const polarity = edge.isUnknown ? this.polarities[key] : edge.polarity;
+        if (polarity === undefined) {
+          throw new Error(`Edge "${key}" has unknown polarity. Provide one, or use sweepPolarities.`);
+        }
+        const oppositeMul = polarity === 'negative' ? -1 : 1;
+        // Edges with their own strength override the global alpha.
+        const alpha = edge.strength ?? this.edgeAlpha;
+        const delta = (value - target) * alpha * oppositeMul;
         // console.log(`${inboundNode.name} -> ${node.name}: delta ${delta}.`);
         // How much does this inbound node contribute to the value of the node.
         newValue += delta;
@@ -76,12 +187,27 @@ export class GraphSimulatorSimple {
       newValue = Number(newValue.toFixed(2));
 
       newValues[node.name] = newValue;
-
-      // Save this value in history too.
-      this.history[node.name].push(newValue);
     }
 
+    // Save the new values in history too, now that nothing can go wrong.
+    for (const node of nodes) {
+      this.history[node.name].push(newValues[node.name]);
+    }
     this.values = newValues;
+    this.step++;
+  }
+
+  /**
+   * @param {string} nodeName
+   * @param {number} delay how many steps to look back.
+   * @returns {number} the value of the node delay steps ago. Before the start of
+   * the simulation, nodes are assumed to have had their initial value.
+   */
+  getDelayedValue(nodeName, delay = 0) {
+    if (delay === 0) {
+      return this.values[nodeName];
+    }
+    return this.history[nodeName][Math.max(0, this.step - delay)];
   }
 
   /**
@@ -142,7 +268,54 @@ export class GraphSimulatorSimple {
   }
 }
 
-function padOrCut(str, length = 20) {
+/**
+ * Sets up one simulator for every way of resolving the graph's edges with
+ * unknown polarity, to see how much the answer depends on them.
+ *
+ * @param {CausalGraph} graph
+ * @param {object} options Passed to each GraphSimulatorSimple. Aborting
+ * options.signal disposes of all of them at once.
+ * @returns {GraphSimulatorSimple[]} 2^n simulators for n unknown edges, each
+ * with its choice in its polarities field.
+ */
+export function sweepPolarities(graph, options = {}) {
+  const keys = unknownPolarityEdges(graph)
+    .map(([source, edge]) => edgeKey(source.name, edge.targetName));
+  if (keys.length > MAX_SWEEP_EDGES) {
+    throw new Error(`Too many edges with unknown polarity to sweep: ${keys.length} > ${MAX_SWEEP_EDGES}.`);
+  }
+  const out = [];
+  for (let combination = 0; combination < 2 ** keys.length; combination++) {
+    const polarities = {};
+    for (const [ind, key] of keys.entries()) {
+      polarities[key] = (combination >> ind) & 1 ? 'negative' : 'positive';
+    }
+    out.push(new GraphSimulatorSimple(graph, {...options, polarities}));
+  }
+  return out;
+}
+
+/**
+ * @param {CausalGraph} graph
+ * @returns {Array<[Node, Edge]>} Every edge with unknown polarity and its source.
+ */
+function unknownPolarityEdges(graph) {
+  const out = [];
+  for (const node of graph.adjList.nodes) {
+    for (const edge of node.adjacentEdges) {
+      if (edge.isUnknown) {
+        out.push([node, edge]);
+      }
+    }
+  }
+  return out;
+}
+
+function edgeKey(sourceName, targetName) {
+  return `${sourceName}->${targetName}`;
+}
+
+export function padOrCut(str, length = 20) {
   if (str.length > length) {
     return str.substr(0, length);
   } else {
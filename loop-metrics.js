@@ -0,0 +1,83 @@
+/**
+ * How a feedback loop relates to the other loops in the same graph.
+ */
+export class LoopMetrics {
+  // The CausalLoop being measured.
+  loop = null;
+  // Number of nodes (and edges) in the loop.
+  length = 0;
+  // Number of its nodes that are also in another loop.
+  sharedNodes = 0;
+  // Number of its edges that are also in another loop.
+  sharedEdges = 0;
+  // Number of other loops it has at least one node in common with.
+  overlappingLoops = 0;
+  // How central the loop is: for each of its nodes, the number of other loops
+  // through that node, added up.
+  centrality = 0;
+}
+
+/**
+ * @param {CausalLoop[]} loops
+ * @returns {Map<string, number>} Loopiness: how many of the loops go through
+ * each node. Key: node name. Nodes that aren't in any loop are left out.
+ */
+export function nodeLoopiness(loops) {
+  const out = new Map();
+  for (const loop of loops) {
+    for (const node of loop.nodes) {
+      out.set(node.name, (out.get(node.name) ?? 0) + 1);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {CausalLoop[]} loops All the loops in a graph, eg. from analyzeLoops.
+ * @returns {LoopMetrics[]} Metrics for each loop, in the same order.
+ */
+export function analyzeLoopMetrics(loops) {
+  const loopiness = nodeLoopiness(loops);
+  // Key: edge. Value: how many of the loops use it.
+  const edgeCounts = new Map();
+  // Key: node name. Value: indices of the loops through it.
+  const loopsByNode = new Map();
+  for (const [ind, loop] of loops.entries()) {
+    for (const edge of loop.edges) {
+      edgeCounts.set(edge, (edgeCounts.get(edge) ?? 0) + 1);
+    }
+    for (const node of loop.nodes) {
+      if (!loopsByNode.has(node.name)) {
+        loopsByNode.set(node.name, []);
+      }
+      loopsByNode.get(node.name).push(ind);
+    }
+  }
+
+  return loops.map((loop, ind) => {
+    const metrics = new LoopMetrics();
+    metrics.loop = loop;
+    metrics.length = loop.nodes.length;
+    metrics.sharedNodes = loop.nodes.filter(node => loopiness.get(node.name) > 1).length;
+    metrics.sharedEdges = loop.edges.filter(edge => edgeCounts.get(edge) > 1).length;
+    const overlapping = new Set(loop.nodes.flatMap(node => loopsByNode.get(node.name)));
+    overlapping.delete(ind);
+    metrics.overlappingLoops = overlapping.size;
+    metrics.centrality = loop.nodes
+      .reduce((sum, node) => sum + loopiness.get(node.name) - 1, 0);
+    return metrics;
+  });
+}
+
+/**
+ * Ranks loops by how central they are, most central first. Ties go to the
+ * loop sharing more edges with others, then to the shorter loop, then to the
+ * loop found first.
+ *
+ * @param {CausalLoop[]} loops
+ * @returns {LoopMetrics[]}
+ */
+export function rankLoops(loops) {
+  return analyzeLoopMetrics(loops).sort((a, b) =>
+    b.centrality - a.centrality || b.sharedEdges - a.sharedEdges || a.length - b.length);
+}
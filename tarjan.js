@@ -1,18 +1,117 @@
 import {AdjacencyList} from './adjacency-list.js';
 
 const UNVISITED = -1;
+// How many steps a cycle search takes between looking at the clock.
+const CLOCK_INTERVAL = 1024;
 /**
+ * Finds every elementary cycle in the graph, see findCycles.
  *
+ * @deprecated Despite the name, this returns cycles rather than strongly
+ * connected components. Use findCycles or findStronglyConnectedComponents.
  * @param {AdjacencyList} adjList
  *
  * @returns {Node[][]} List of node lists.
  */
 export function tarjanSCC(adjList) {
+  return findCycles(adjList).cycles;
+}
+
+/**
+ * Partitions a graph into strongly connected components: sets of nodes which
+ * can all reach each other. Every node is in exactly one component.
+ *
+ * @param {AdjacencyList} adjList
+ * @returns {Node[][]} The nodes of each component, in graph order. Components
+ * are in topological order, so links only go from earlier components to later
+ * ones. Otherwise, components with earlier nodes come first.
+ */
+export function findStronglyConnectedComponents(adjList) {
   const numAdjList = adjacencyListToNumericGraph(adjList);
-  const cycles = tarjanVacilando(numAdjList);
-  const cycleInds = cycles.map(cycle => cycle.split('|'));
-  const cycleNodes = cycleInds.map(cycleInd => cycleInd.map(ind => adjList.nodes[ind]));
-  return cycleNodes;
+  const components = stronglyConnectedComponents(numAdjList);
+  for (const component of components) {
+    component.sort((a, b) => a - b);
+  }
+  const componentOf = new Array(numAdjList.length);
+  for (const [ind, component] of components.entries()) {
+    for (const nodeInd of component) {
+      componentOf[nodeInd] = ind;
+    }
+  }
+
+  // Kahn's algorithm, always taking the ready component with the earliest node.
+  const successors = components.map(() => new Set());
+  const inDegrees = new Array(components.length).fill(0);
+  for (const [v, targets] of numAdjList.entries()) {
+    for (const w of targets) {
+      const [from, to] = [componentOf[v], componentOf[w]];
+      if (from !== to && !successors[from].has(to)) {
+        successors[from].add(to);
+        inDegrees[to]++;
+      }
+    }
+  }
+  // Sorted with the earliest component at the end, so that it's popped first.
+  const ready = components.map((_, ind) => ind)
+    .filter(ind => inDegrees[ind] === 0)
+    .sort((a, b) => components[b][0] - components[a][0]);
+  const out = [];
+  while (ready.length > 0) {
+    const ind = ready.pop();
+    out.push(components[ind]);
+    for (const next of successors[ind]) {
+      if (--inDegrees[next] === 0) {
+        const first = components[next][0];
+        const at = ready.findIndex(other => components[other][0] < first);
+        ready.splice(at === -1 ? ready.length : at, 0, next);
+      }
+    }
+  }
+  return out.map(component => component.map(ind => adjList.nodes[ind]));
+}
+
+/**
+ * Finds the elementary cycles of a graph with Johnson's algorithm. Cycles are
+ * ordered by their first node, which is the one that comes first in the graph.
+ * The graph is left unchanged.
+ *
+ * @param {AdjacencyList} adjList
+ * @param {object} options
+ * @param {number} options.maxLength Longest cycle to look for, in nodes.
+ * @param {number} options.maxCycles Stop after finding this many cycles.
+ * @param {number} options.timeBudget Stop after this many milliseconds.
+ * @returns {{cycles: Node[][], truncated: boolean}} truncated is true if the
+ * search stopped early because of maxCycles or timeBudget, or if there may be
+ * cycles longer than maxLength that were skipped.
+ */
+export function findCycles(adjList, {maxLength = Infinity, maxCycles = Infinity, timeBudget = Infinity} = {}) {
+  const numAdjList = adjacencyListToNumericGraph(adjList);
+  // Every cycle lies within a strongly connected component, so only search
+  // within each component. This keeps large, mostly acyclic graphs cheap.
+  const componentOf = new Array(numAdjList.length).fill(null);
+  for (const component of stronglyConnectedComponents(numAdjList)) {
+    const isSelfLoop = component.length === 1 &&
+      numAdjList[component[0]].includes(component[0]);
+    if (component.length > 1 || isSelfLoop) {
+      const members = new Set(component);
+      for (const ind of component) {
+        componentOf[ind] = members;
+      }
+    }
+  }
+
+  const search = new CycleSearch(numAdjList, {maxLength, maxCycles,
+    deadline: Date.now() + timeBudget});
+  // Starting from each node in turn, only looking at later nodes, finds each
+  // cycle exactly once: from its earliest node.
+  for (let start = 0; start < numAdjList.length && !search.truncated; start++) {
+    if (componentOf[start]) {
+      search.searchFrom(start, componentOf[start]);
+    }
+  }
+  return {
+    cycles: search.cycles.map(cycle => cycle.map(ind => adjList.nodes[ind])),
+    truncated: search.truncated || search.skippedLonger,
+  };
 }
 
 /**
@@ -41,107 +140,186 @@ export function adjacencyListToNumericGraph(adjacencyList) {
 }
 
 /**
- * Implementation of Tarjan's algorithm cribbed from
- * https://github.com/Vacilando/js-tarjan/blob/main/tarjan.js.
+ * Tarjan's strongly connected components algorithm, without recursion so that
+ * long chains don't overflow the stack.
  *
- * @param {Number[][]} numAdjList Numeric adjacency list in the expected format.
+ * @param {number[][]} numAdjList Numeric adjacency list, as returned by
+ * adjacencyListToNumericGraph.
+ * @returns {number[][]} The node indices of each strongly connected component.
  */
-function tarjanVacilando(numAdjList) {
-  const $G = numAdjList;
-
-  /**
-   * COPIED CODE BEGINS HERE
-   */
+function stronglyConnectedComponents(numAdjList) {
+  const indices = new Array(numAdjList.length).fill(UNVISITED);
+  const lowLinks = new Array(numAdjList.length).fill(0);
+  const onStack = new Array(numAdjList.length).fill(false);
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
 
-  // All the following must be global to pass them to recursive function js_tarjan().
-  var $cycles;
-  var $marked;
-  var $marked_stack;
-  var $point_stack;
-
-  /*
-   * js_tarjan_entry() iterates through the graph array rows, executing js_tarjan().
-   */
-  function js_tarjan_entry($G_local) {
-    // Initialize global values that are so far undefined.
-    $cycles = [];
-    $marked = [];
-    $marked_stack = [];
-    $point_stack = [];
-
-    for (let $x = 0; $x < $G_local.length; $x++) {
-      $marked[$x] = false;
+  for (let root = 0; root < numAdjList.length; root++) {
+    if (indices[root] !== UNVISITED) {
+      continue;
     }
+    // Each frame is [node, index of the next edge to follow].
+    const callStack = [[root, 0]];
+    indices[root] = lowLinks[root] = nextIndex++;
+    stack.push(root);
+    onStack[root] = true;
+
+    while (callStack.length > 0) {
+      const frame = callStack[callStack.length - 1];
+      const [v, edgeInd] = frame;
+      if (edgeInd < numAdjList[v].length) {
+        frame[1]++;
+        const w = numAdjList[v][edgeInd];
+        if (indices[w] === UNVISITED) {
+          indices[w] = lowLinks[w] = nextIndex++;
+          stack.push(w);
+          onStack[w] = true;
+          callStack.push([w, 0]);
+        } else if (onStack[w]) {
+          lowLinks[v] = Math.min(lowLinks[v], indices[w]);
+        }
+        continue;
+      }
 
-    for (let $i = 0; $i < $G_local.length; $i++) {
-      js_tarjan($i, $i);
-      while ($marked_stack.length > 0) {
-        $marked[$marked_stack.pop()] = false;
+      // All of v's edges are done: v either roots a component or passes its
+      // low link up to its parent.
+      callStack.pop();
+      if (lowLinks[v] === indices[v]) {
+        const component = [];
+        let w;
+        do {
+          w = stack.pop();
+          onStack[w] = false;
+          component.push(w);
+        } while (w !== v);
+        components.push(component);
+      }
+      if (callStack.length > 0) {
+        const parent = callStack[callStack.length - 1][0];
+        lowLinks[parent] = Math.min(lowLinks[parent], lowLinks[v]);
       }
-      // console.log($i + 1 + ' / ' + $G_local.length); // Enable if you wish to follow progression through the array rows.
     }
+  }
+  return components;
+}
 
-    $cycles = Object.keys($cycles);
+/**
+ * The state of Johnson's algorithm, without recursion so that long cycles
+ * don't overflow the stack.
+ */
+class CycleSearch {
+  // Cycles found so far, as lists of node indices.
+  cycles = [];
+  // Whether the search stopped early.
+  truncated = false;
+  // Whether maxLength kept the search from following a path that might have
+  // led to a longer cycle.
+  skippedLonger = false;
+  // Limits, see findCycles. The deadline is a timestamp from Date.now().
+  maxLength = Infinity;
+  maxCycles = Infinity;
+  deadline = Infinity;
+  // Steps taken so far, to know when to look at the clock.
+  steps = 0;
+  // Nodes on the current path, or that can't currently reach the start.
+  blocked = [];
+  // Key: node index. Value: nodes to unblock along with it.
+  blockedBy = new Map();
 
-    return $cycles;
+  constructor(numAdjList, {maxLength, maxCycles, deadline}) {
+    this.numAdjList = numAdjList;
+    this.maxLength = maxLength;
+    this.maxCycles = maxCycles;
+    this.deadline = deadline;
+    this.blocked = new Array(numAdjList.length).fill(false);
   }
 
-  /*
-   * Recursive function to detect strongly connected components (cycles, loops).
+  /**
+   * Finds all cycles through start that only visit nodes in the same
+   * component, with a larger index than start.
+   *
+   * @param {number} start
+   * @param {Set<number>} component
    */
-  function js_tarjan($s, $v) {
-    // Update global values.
-    $marked[$v] = true;
-    $marked_stack.push($v);
-    $point_stack.push($v);
-
-    // Define local values.
-    let $f = false;
-    let $t;
-
-    // var $maxlooplength = 3; // Enable to Limit the length of loops to keep in the results (see below).
-
-    $G[$v]?.forEach(($w) => {
-      if ($w < $s) {
-        $G[$w] = [];
-      } else if ($w === $s) {
-        // if ($point_stack.length == $maxlooplength){ // Enable to collect cycles of a given length only.
-        // Add new cycles as array keys to avoid duplication. Way faster than using array search.
-        $cycles[$point_stack.join('|')] = true;
-        // }
-        $f = true;
-      } else if ($marked[$w] === false) {
-        // if ($point_stack.length < $maxlooplength){ // Enable to only collect cycles up to $maxlooplength.
-        $t = js_tarjan($s, $w);
-        // }
-        if ($f.length !== 0 || $t.length !== 0) {
-          $f = true;
+  searchFrom(start, component) {
+    const successors = (v) => [...new Set(this.numAdjList[v])]
+      .filter(w => w >= start && component.has(w));
+    const path = [start];
+    // Each frame is [node, its successors, index of the next one to follow,
+    // whether a cycle was found through it].
+    const callStack = [[start, successors(start), 0, false]];
+    this.blocked[start] = true;
+
+    while (callStack.length > 0) {
+      if (++this.steps % CLOCK_INTERVAL === 0 && Date.now() > this.deadline) {
+        this.truncated = true;
+        break;
+      }
+      const frame = callStack[callStack.length - 1];
+      const [v, next, edgeInd] = frame;
+      if (edgeInd < next.length) {
+        frame[2]++;
+        const w = next[edgeInd];
+        if (w === start) {
+          if (this.cycles.length === this.maxCycles) {
+            this.truncated = true;
+            break;
+          }
+          this.cycles.push([...path]);
+          frame[3] = true;
+        } else if (path.length >= this.maxLength) {
+          // Whether w leads back to start wasn't checked, so v mustn't stay
+          // blocked as if it didn't.
+          frame[3] = true;
+          this.skippedLonger ||= !this.blocked[w];
+        } else if (!this.blocked[w]) {
+          path.push(w);
+          this.blocked[w] = true;
+          callStack.push([w, successors(w), 0, false]);
         }
+        continue;
       }
-    });
 
-    if ($f === true) {
-      while ($marked_stack.slice(-1)[0] !== $v) {
-        $marked[$marked_stack.pop()] = false;
+      // All of v's successors are done. If v is on a cycle, it can be used
+      // again. Otherwise it stays blocked until one of its successors is
+      // unblocked.
+      callStack.pop();
+      path.pop();
+      const [, , , found] = frame;
+      if (found) {
+        this.unblock(v);
+      } else {
+        for (const w of next) {
+          if (!this.blockedBy.has(w)) {
+            this.blockedBy.set(w, new Set());
+          }
+          this.blockedBy.get(w).add(v);
+        }
+      }
+      if (found && callStack.length > 0) {
+        callStack[callStack.length - 1][3] = true;
       }
-      $marked_stack.pop();
-      $marked[$v] = false;
     }
 
-    $point_stack.pop();
-
-    return $f;
+    // Reset for the next start.
+    this.blocked.fill(false);
+    this.blockedBy.clear();
   }
 
-
   /**
-   * COPIED CODE ENDS HERE.
+   * @param {number} v Unblocks this node, and any nodes waiting on it.
    */
-
-
-  var $cycles = js_tarjan_entry($G);
-  // console.log('Cycles found: ' + $cycles.length);
-  // console.log($cycles);
-
-  return $cycles;
-}
\ No newline at end of file
+  unblock(v) {
+    const stack = [v];
+    while (stack.length > 0) {
+      const u = stack.pop();
+      if (!this.blocked[u]) {
+        continue;
+      }
+      this.blocked[u] = false;
+      stack.push(...(this.blockedBy.get(u) ?? []));
+      this.blockedBy.delete(u);
+    }
+  }
+}
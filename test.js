@@ -1,6 +1,17 @@
+import {CHANGE_EVENTS, Edge, MergeConflictError, Node} from './adjacency-list.js';
 import {CausalGraph} from './causal-graph.js';
-import {parseCGML, parseCGMLLine} from './cgml.js';
-import {downsample, GraphSimulatorSimple, meanBetween} from './graph-simulator.js';
+import {CGMLSyntaxError, formatCGML, parseCGML, parseCGMLAsync, parseCGMLLine, parseCGMLWithDiagnostics, parseNodeName, toCGML} from './cgml.js';
+import {FileSystemLoader} from './cgml-fs-loader.js';
+import {diffGraphs} from './graph-diff.js';
+import {analyzeLeverage} from './graph-analysis.js';
+import {LINT_RULES, lintGraph} from './graph-linter.js';
+import {analyzeLoopMetrics, nodeLoopiness} from './loop-metrics.js';
+import {MapLoader} from './cgml-loaders.js';
+import {execFileSync} from 'node:child_process';
+import {mkdirSync, mkdtempSync, writeFileSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {downsample, GraphSimulatorSimple, meanBetween, sweepPolarities} from './graph-simulator.js';
 import {adjacencyListToNumericGraph, tarjanSCC} from './tarjan.js';
 import {arrayMean, distinfo, isStrictlyDecreasing, isSuperLinearlyIncreasing, sparkline} from './sparkline.js';
 
@@ -83,6 +94,437 @@ test(`Parse CGML with negatives`, () => {
 });
 
 
+test(`Parse quoted node names`, () => {
+  const result = parseCGMLLine('"Cost (USD)" (C) --> "Demand -> Supply gap" // Price signal');
+  expect(result.nodes.map(n => [n.name, n.label])).toEqual([
+    ['C', 'Cost (USD)'],
+    ['Demand -> Supply gap', 'Demand -> Supply gap'],
+  ]);
+  expect(result.findNodeByName('C').adjacentEdges[0].label).toBe('Price signal');
+
+  // Quoted aliases, and quotes in the middle of a name.
+  const quotedAlias = parseCGMLLine('Total "cost" ("Cost (total)") o-> B');
+  expect(quotedAlias.nodes[0].name).toBe('Cost (total)');
+  expect(quotedAlias.nodes[0].label).toBe('Total cost');
+});
+
+test(`Parse escape sequences in node names`, () => {
+  expect(parseNodeName('Say \\"hi\\"').name).toBe('Say "hi"');
+  expect(parseNodeName('"Back\\\\slash \\"quoted\\""').name).toBe('Back\\slash "quoted"');
+  expect(parseNodeName('Not an alias \\(X\\)').name).toBe('Not an alias (X)');
+  const arrow = parseCGMLLine('A \\-> B --> C');
+  expect(arrow.nodes.map(n => n.name)).toEqual(['A -> B', 'C']);
+});
+
+test(`URLs and nested parentheses in node names`, () => {
+  const result = parseCGMLLine('See http://example.com --> B (Bee (the insect)) // Label');
+  expect(result.nodes.map(n => [n.name, n.label])).toEqual([
+    ['See http://example.com', 'See http://example.com'],
+    ['Bee (the insect)', 'B'],
+  ]);
+  expect(result.nodes[0].adjacentEdges[0].label).toBe('Label');
+  // Without whitespace before it, // is part of the name.
+  expect(parseCGMLLine('A --> B//C').nodes[1].name).toBe('B//C');
+});
+
+test(`Unterminated quotes and parentheses are reported`, () => {
+  const {diagnostics} = parseCGMLWithDiagnostics(`"Cost --> B
+A (B --> C
+A --> B \\`);
+  expect(diagnostics.map(d => [d.line, d.column, d.message])).toEqual([
+    [1, 1, 'Missing closing quote.'],
+    [2, 3, 'Missing closing parenthesis.'],
+    [3, 9, 'Backslash at the end of the line has nothing to escape.'],
+  ]);
+});
+
+test(`Parse chained edges on a single CGML line`, () => {
+  const result = parseCGMLLine('Births --> Population (P) --> Deaths o-> P // Mortality');
+  expect(result.nodes.map(n => n.name)).toEqual(['Births', 'P', 'Deaths']);
+  expect(result.findNodeByName('Births').adjacentEdges[0].targetName).toBe('P');
+  expect(result.findNodeByName('P').adjacentEdges[0].targetName).toBe('Deaths');
+  expect(result.findNodeByName('P').adjacentEdges[0].label).toBe('');
+  const deathsEdge = result.findNodeByName('Deaths').adjacentEdges[0];
+  expect(deathsEdge.targetName).toBe('P');
+  expect(deathsEdge.isOpposite).toBe(true);
+  expect(deathsEdge.label).toBe('Mortality');
+});
+
+test(`Parse per-segment edge labels in chains`, () => {
+  const result = parseCGMLLine('A -->|first| B o->|second| C --> D // last');
+  expect(result.findNodeByName('A').adjacentEdges[0].label).toBe('first');
+  expect(result.findNodeByName('B').adjacentEdges[0].label).toBe('second');
+  expect(result.findNodeByName('B').adjacentEdges[0].isOpposite).toBe(true);
+  expect(result.findNodeByName('C').adjacentEdges[0].label).toBe('last');
+});
+
+test(`Parse edge strengths`, () => {
+  const result = parseCGML(`
+  A --[0.3]-> B
+  B o[2]-> C
+  C --> A
+  `);
+  const ab = result.findNodeByName('A').adjacentEdges[0];
+  expect(ab.strength).toBe(0.3);
+  expect(ab.isOpposite).toBe(false);
+  const bc = result.findNodeByName('B').adjacentEdges[0];
+  expect(bc.strength).toBe(2);
+  expect(bc.isOpposite).toBe(true);
+  expect(result.findNodeByName('C').adjacentEdges[0].strength).toBeNull();
+
+  expect(() => parseCGMLLine('A --[lots]-> B')).toThrow('Edge strength must be a non-negative number.');
+  expect(() => parseCGMLLine('A --[-1]-> B')).toThrow(CGMLSyntaxError);
+});
+
+test(`Parse edges with unknown polarity`, () => {
+  const result = parseCGML(`
+  A ?-> B
+  B ?[0.3]|2|-> C
+  Why? --> A
+  `);
+  const ab = result.findNodeByName('A').adjacentEdges[0];
+  expect(ab.polarity).toBe('unknown');
+  expect(ab.isUnknown).toBe(true);
+  expect(ab.isOpposite).toBe(false);
+  const bc = result.findNodeByName('B').adjacentEdges[0];
+  expect([bc.polarity, bc.strength, bc.delay]).toEqual(['unknown', 0.3, 2]);
+  expect(result.findNodeByName('Why?').adjacentEdges[0].polarity).toBe('positive');
+  expect(toCGML(result)).toBe('A ?-> B\nB ?[0.3]|2|-> C\nWhy? --> A\n');
+});
+
+test(`Parse edge delays`, () => {
+  const result = parseCGML(`
+  A --||-> B
+  B o|5|-> C
+  C --[0.3]|2|-> D
+  D -->|no delay| A
+  `);
+  expect(result.findNodeByName('A').adjacentEdges[0].delay).toBe(1);
+  expect(result.findNodeByName('B').adjacentEdges[0].delay).toBe(5);
+  expect(result.findNodeByName('B').adjacentEdges[0].isOpposite).toBe(true);
+  expect(result.findNodeByName('C').adjacentEdges[0].delay).toBe(2);
+  expect(result.findNodeByName('C').adjacentEdges[0].strength).toBe(0.3);
+  expect(result.findNodeByName('D').adjacentEdges[0].delay).toBe(0);
+  expect(result.findNodeByName('D').adjacentEdges[0].label).toBe('no delay');
+
+  expect(() => parseCGMLLine('A --|0|-> B')).toThrow('Edge delay must be a positive whole number of steps.');
+});
+
+test(`Parse node declarations`, () => {
+  const result = parseCGML(`
+  P --> Deaths
+  Population (P) := 100 units=people target=500 type=stock
+  Deaths := target=2
+  `);
+  const p = result.findNodeByName('P');
+  expect(p.label).toBe('Population');
+  expect(p.initialValue).toBe(100);
+  expect(p.target).toBe(500);
+  expect(p.units).toBe('people');
+  expect(p.type).toBe('stock');
+  expect(p.adjacentEdges).toHaveLength(1);
+  const deaths = result.findNodeByName('Deaths');
+  expect(deaths.initialValue).toBeNull();
+  expect(deaths.target).toBe(2);
+  expect(deaths.type).toBe('auxiliary');
+
+  expect(() => parseCGMLLine('P := lots')).toThrow('Expected a number, got "lots".');
+  expect(() => parseCGMLLine('P := type=flow')).toThrow(CGMLSyntaxError);
+  expect(() => parseCGMLLine('P := 5 -> Q')).toThrow('Node declarations can not contain arrows.');
+  const {diagnostics} = parseCGMLWithDiagnostics('P := 5 colour=red');
+  expect(diagnostics.map(d => [d.severity, d.text])).toEqual([['warning', 'colour=red']]);
+});
+
+test(`Nodes and edges carry metadata`, () => {
+  const graph = parseCGML(`
+  Population (P) := 100 {owner: Ann, description: "People, all of them."}
+  Births --> P o-> Deaths {confidence: low, source: "census 2020"} // deaths
+  `);
+  const p = graph.findNodeByName('P');
+  expect(p.metadata).toEqual({owner: 'Ann', description: 'People, all of them.'});
+  expect(p.initialValue).toBe(100);
+  expect(graph.findEdge('Births', 'P').metadata).toEqual({});
+  const deaths = graph.findEdge('P', 'Deaths');
+  expect(deaths.metadata).toEqual({confidence: 'low', source: 'census 2020'});
+  expect(deaths.label).toBe('deaths');
+  expect(deaths.clone().metadata).toEqual(deaths.metadata);
+
+  const cgml = toCGML(graph);
+  expect(cgml.trim()).toBe(`Population (P) := 100 {owner: Ann, description: "People, all of them."}
+Births --> P
+P o-> Deaths {confidence: low, source: census 2020} // deaths`);
+  const again = parseCGML(cgml);
+  expect(again.findNodeByName('P').metadata).toEqual(p.metadata);
+  expect(again.findEdge('P', 'Deaths').metadata).toEqual(deaths.metadata);
+  expect(toCGML(parseCGML('"{odd}" --> B')).trim()).toBe('"{odd}" --> B');
+
+  expect(() => parseCGMLLine('A --> B {x: 1} {y: 2}')).toThrow('A line can only have one set of metadata.');
+  expect(() => parseCGMLLine('A --> B {x: 1} C')).toThrow('Metadata must come at the end of the line.');
+  expect(() => parseCGMLLine('A --> B {x: 1')).toThrow('Missing closing brace.');
+  expect(() => parseCGMLLine('A --> B {x}')).toThrow(CGMLSyntaxError);
+
+  const mermaid = new CausalGraph(cgml).toMermaid({metadataTooltips: true});
+  expect(mermaid).toContain('click 0 showMetadata "owner: Ann, description: People, all of them."');
+  expect(new CausalGraph(cgml).toMermaid()).not.toContain('click');
+});
+
+test(`Bad CGML throws with the line number`, () => {
+  expect(() => parseCGML(`
+  A -> B
+  B C
+  `)).toThrow(CGMLSyntaxError);
+  expect(() => parseCGML(`
+  A -> B
+  B C
+  `)).toThrow('Line 3, column 3: Each line must contain at least one arrow or a := declaration.');
+});
+
+test(`Collect all CGML diagnostics along with the valid part of the graph`, () => {
+  const {graph, diagnostics} = parseCGMLWithDiagnostics(`A -> B
+B C
+B -> -> D
+ -> C
+C ()-> A
+D (Dee) extra -> A`);
+  expect(graph.nodes.map(n => n.name)).toEqual(['A', 'B', 'Dee']);
+  expect(graph.findNodeByName('Dee').adjacentEdges).toHaveLength(1);
+
+  const summary = diagnostics.map(d => [d.line, d.column, d.endColumn, d.severity, d.text]);
+  expect(summary).toEqual([
+    [2, 1, 4, 'error', 'B C'],
+    [3, 6, 8, 'error', '->'],
+    [4, 2, 4, 'error', '->'],
+    [5, 3, 5, 'error', '()'],
+    [6, 9, 14, 'warning', 'extra'],
+  ]);
+  expect(diagnostics[3].message).toBe('Alias in parentheses must not be empty.');
+});
+
+test(`Parsed nodes and edges remember where they were written`, () => {
+  const graph = parseCGML(`Alpha (A) --> B
+group G {
+  B o-> C --> A
+}`);
+  const spanInfo = (span) => [span.line, span.column, span.endColumn, span.subgraph];
+  expect(graph.findNodeByName('A').occurrences.map(spanInfo)).toEqual([
+    [1, 1, 10, graph.id],
+    [3, 15, 16, 'group:G'],
+  ]);
+  expect(graph.findNodeByName('B').occurrences.map(spanInfo)).toEqual([
+    [1, 15, 16, graph.id],
+    [3, 3, 4, 'group:G'],
+  ]);
+  expect(spanInfo(graph.findNodeByName('A').adjacentEdges[0].span)).toEqual([1, 1, 16, graph.id]);
+  expect(spanInfo(graph.findNodeByName('C').adjacentEdges[0].span)).toEqual([3, 9, 16, 'group:G']);
+});
+
+test(`Source positions survive concat`, () => {
+  const loader = new MapLoader({'b.cgml': 'B -> A'});
+  const g1 = new CausalGraph('A -> B');
+  const g2 = new CausalGraph('@include "b.cgml"', {loader});
+  g1.concat(g2);
+  const occurrences = g1.adjList.findNodeByName('A').occurrences;
+  expect(occurrences.map(span => [span.file, span.line, span.column])).toEqual([
+    ['', 1, 1],
+    ['b.cgml', 1, 6],
+  ]);
+  expect(occurrences[0].subgraph).toBe(g1.adjList.id);
+  expect(occurrences[1].subgraph).not.toBe(g1.adjList.id);
+  const edgeSpan = g1.adjList.findNodeByName('B').adjacentEdges[0].span;
+  expect([edgeSpan.file, edgeSpan.column, edgeSpan.endColumn]).toEqual(['b.cgml', 1, 7]);
+});
+
+test(`Serialize a graph to canonical CGML`, () => {
+  const graph = parseCGML(`
+  // Hand-written, with messy ordering.
+  group "Housing" {
+    Rent o-> Savings (S)
+  }
+  group Economy {
+    W --[0.5]|3|-> Jobs   // hiring
+    Jobs --> W
+    Unemployment (U) := 5 units=people target=2 type=stock
+  }
+  Wages (W) -->|pay| Rent // not this one
+  Lonely :=
+  `);
+  expect(toCGML(graph)).toBe(`Lonely :=
+
+group "Economy" {
+  Unemployment (U) := 5 units=people target=2 type=stock
+  Jobs --> Wages (W)
+  W --[0.5]|3|-> Jobs // hiring
+}
+
+group "Housing" {
+  Rent o-> Savings (S)
+}
+
+W --> Rent // pay
+`);
+});
+
+test(`Serialized CGML parses back into the same graph`, () => {
+  const g1 = new CausalGraph(`
+  Parent Funding (PF) -> Academic Results (AR)
+  AR -> Satisfaction Gap (SG)
+  SG --||-> School Enrollment (SE)
+  SE o[2]-> PF
+  `);
+  const g2 = new CausalGraph(`
+  AR -> School Inequality (SI) // Inequality grows
+  SI o-> PF
+  `);
+  g1.concat(g2);
+
+  const cgml = g1.toCGML();
+  const reparsed = parseCGML(cgml);
+  expect(toCGML(reparsed)).toBe(cgml);
+  expect(reparsed.nodes).toHaveLength(5);
+  expect(reparsed.partitionSubgraphs().map(p => p.length)).toEqual([4, 1]);
+  expect(reparsed.findNodeByName('SI').label).toBe('School Inequality');
+  expect(reparsed.findNodeByName('SG').adjacentEdges[0].delay).toBe(1);
+  expect(reparsed.findNodeByName('SE').adjacentEdges[0].strength).toBe(2);
+  expect(reparsed.findNodeByName('AR').adjacentEdges.map(e => e.label)).toEqual(['', 'Inequality grows']);
+  expect(new CausalGraph(reparsed).analyzeLoops()).toHaveLength(2);
+  expect(formatCGML(cgml)).toBe(cgml);
+
+  const declared = 'Births (B) := 3 units="people per year" target=5\nB --> P\n';
+  expect(toCGML(parseCGML(declared))).toBe(declared);
+  expect(parseCGML(toCGML(parseCGML(declared))).findNodeByName('B').units).toBe('people per year');
+});
+
+test(`Serialized CGML quotes names that need it`, () => {
+  const graph = parseCGML(`
+  "Cost (USD)" (C) --> "Demand -> Supply gap"
+  "Say \\"hi\\"" --> See http://example.com // Docs at http://example.com
+  `);
+  const cgml = toCGML(graph);
+  expect(cgml).toBe(`"Cost (USD)" (C) --> "Demand -> Supply gap"
+"Say \\"hi\\"" --> See http://example.com // Docs at http://example.com
+`);
+  expect(toCGML(parseCGML(cgml))).toBe(cgml);
+  expect(new CausalGraph(graph).toMermaid()).toMatch(/^0\["Cost \(USD\)"\]$/m);
+
+  // Names that look like directives stay names.
+  const directives = parseCGML('"loop a: b" --> C\n"group G {" --> C\n"@include \\"x.cgml\\"" --> C');
+  const written = toCGML(directives);
+  expect(written).toContain('"loop a: b" --> C');
+  const names = (adjList) => adjList.nodes.map(node => node.name).sort();
+  expect(names(parseCGML(written))).toEqual(names(directives));
+  expect(parseCGML(written).findNodeByName('loop a: b').adjacentEdges).toHaveLength(1);
+});
+
+test(`Lint finds conflicting, duplicate and self-referencing links`, () => {
+  const graph = new CausalGraph(`
+  A --> B
+  A o-> B
+  A --> B
+  B --> B
+  B --> A
+  `);
+  const diagnostics = graph.lint();
+  expect(diagnostics.map(d => [d.ruleId, d.severity, d.span.line])).toEqual([
+    ['conflicting-polarity', 'error', 3],
+    ['duplicate-edge', 'warning', 4],
+    ['self-loop', 'warning', 5],
+  ]);
+  expect(diagnostics[0].nodeNames).toEqual(['A', 'B']);
+  expect(diagnostics[0].toString()).toBe(
+    'Line 3, column 3: "A" both increases and decreases "B". [conflicting-polarity]');
+});
+
+test(`Lint finds clashing aliases and labels`, () => {
+  const diagnostics = lintGraph(parseCGML(`
+  Population (P) -> X
+  People (P) -> Y
+  Size (X) -> Population
+  `)).filter(d => d.severity === 'error');
+  expect(diagnostics.map(d => d.ruleId)).toEqual(['alias-label-collision', 'alias-label-collision']);
+  expect(diagnostics[0].message).toBe('"P" is labelled both "Population" and "People".');
+  expect(diagnostics[0].span.line).toBe(3);
+  expect(diagnostics[1].message).toBe('"Population" and "P" are both labelled "Population".');
+});
+
+test(`Lint reports orphans, sinks and sources`, () => {
+  const adjList = parseCGML('Lonely :=\nA -> B\nB -> C');
+  expect(lintGraph(adjList).map(d => `${d.severity} ${d.ruleId} ${d.nodeNames}`)).toEqual([
+    'warning orphan-node Lonely',
+    'info source-node A',
+    'info sink-node C',
+  ]);
+});
+
+test(`Lint rules can be configured`, () => {
+  const adjList = parseCGML('Lonely :=\nA -> B');
+  const rules = {'orphan-node': 'error', 'sink-node': 'off', 'source-node': {severity: 'warning'}};
+  expect(lintGraph(adjList, {rules}).map(d => `${d.severity} ${d.ruleId}`)).toEqual([
+    'error orphan-node',
+    'warning source-node',
+  ]);
+  expect(() => lintGraph(adjList, {rules: {'made-up': 'off'}})).toThrow('Unknown lint rule "made-up".');
+  expect(() => lintGraph(adjList, {rules: {'self-loop': 'fatal'}})).toThrow(/Invalid severity "fatal"/);
+  expect(Object.keys(LINT_RULES)).toContain('duplicate-edge');
+});
+
+test(`Diff two versions of a graph`, () => {
+  const before = new CausalGraph(`
+  Births --> Population --> Deaths
+  Deaths o-> Population
+  Population --> Pollution
+  `);
+  const after = new CausalGraph(`
+  Births --> People (Population) --> Deaths
+  Deaths --> Population
+  Population --> Births
+  `);
+  const diff = diffGraphs(before, after);
+  expect(diff.addedNodes).toEqual([]);
+  expect(diff.removedNodes.map(node => node.name)).toEqual(['Pollution']);
+  expect(diff.relabeledNodes).toEqual([{name: 'Population', oldLabel: 'Population', newLabel: 'People'}]);
+  expect(diff.addedEdges.map(({sourceName, edge}) => `${sourceName}->${edge.targetName}`)).toEqual(['Population->Births']);
+  expect(diff.removedEdges.map(({sourceName, edge}) => `${sourceName}->${edge.targetName}`)).toEqual(['Population->Pollution']);
+  expect(diff.polarityFlips).toEqual([
+    {sourceName: 'Deaths', targetName: 'Population', oldPolarity: 'negative', newPolarity: 'positive',
+      edge: before.adjList.findEdge('Deaths', 'Population')},
+  ]);
+  expect(diff.addedLoops.map(loop => loop.nodes.map(node => node.name))).toEqual([['Births', 'Population']]);
+  expect(diff.removedLoops).toEqual([]);
+  expect(diff.changedLoops.map(({before, after}) => [before.type, after.type])).toEqual([['BALANCING', 'REINFORCING']]);
+  expect(diff.isEmpty).toBe(false);
+  expect(diffGraphs(after, new CausalGraph(after.toCGML())).isEmpty).toBe(true);
+
+  const lines = diff.toMermaid().split('\n');
+  expect(lines).toContain('2[Deaths] -->|<b>+</b> | 1[People]');
+  expect(lines).toContain('class 3 removed');
+  expect(lines).toContain('class 1 relabeled');
+  expect(lines.filter(line => line.startsWith('linkStyle'))).toEqual([
+    'linkStyle 2 stroke:#cf222e,stroke-width:2px,stroke-dasharray:4',
+    'linkStyle 3 stroke:#2da44e,stroke-width:2px',
+    'linkStyle 4 stroke:#bf8700,stroke-width:2px',
+  ]);
+  // Loop changes are listed in a legend.
+  const [added] = diff.addedLoops;
+  const [{before: oldLoop, after: newLoop}] = diff.changedLoops;
+  expect(lines).toContain('subgraph loop_changes [Loop changes]');
+  expect(lines).toContain(`L0["Added ${added.label}: Births -> People"]:::added`);
+  expect(lines).toContain(`L1["Changed ${oldLoop.label} to ${newLoop.label}: People -> Deaths"]:::relabeled`);
+
+  // Added nodes are drawn in the same graph as the rest.
+  const grown = diffGraphs(new CausalGraph('A --> B'), new CausalGraph('A --> B\nB --> C')).toMermaid();
+  expect(grown).not.toContain('subgraph');
+  expect(grown).toContain('class 2 added');
+
+  // Parallel links are matched by polarity.
+  const parallel = diffGraphs(new CausalGraph('A --> B\nA o-> B'), new CausalGraph('A o-> B\nA o-> B'));
+  expect(parallel.addedEdges).toEqual([]);
+  expect(parallel.removedEdges).toEqual([]);
+  expect(parallel.polarityFlips.map(flip => `${flip.oldPolarity} ${flip.newPolarity}`)).toEqual(['positive negative']);
+  expect(parallel.toMermaid().split('\n')).toContain('linkStyle 0 stroke:#bf8700,stroke-width:2px');
+  expect(diffGraphs(new CausalGraph('A --> B\nA o-> B'), new CausalGraph('A o-> B')).removedEdges
+    .map(({edge}) => edge.polarity)).toEqual(['positive']);
+});
+
 test(`Adjacency list to numeric graph`, () => {
   const result = parseCGML(`
   A -> B
@@ -164,6 +606,68 @@ test(`Tarjan's SCC algorithm for multiple loops`, () => {
   expect(threeNames.includes('SG')).toBeFalsy();
 });
 
+test(`Graphs are partitioned into strongly connected components`, () => {
+  const graph = new CausalGraph(`
+  Outcome :=
+  Rain -> A
+  A -> B
+  B -> A
+  B -> Outcome
+  B -> C
+  C o-> C
+  Policy o-> C
+  Policy -> A
+  Lonely := 1
+  `);
+  const components = graph.analyzeComponents();
+  const summary = components.map(component => [
+    component.nodes.map(node => node.name).join(' '),
+    component.isFeedback, component.isDriver, component.isOutcome,
+  ]);
+  expect(summary).toEqual([
+    ['Rain', false, true, false],
+    ['Policy', false, true, false],
+    ['A B', true, false, false],
+    ['Outcome', false, false, true],
+    ['C', true, false, true],
+    ['Lonely', false, true, true],
+  ]);
+  expect(components[2].successors).toEqual([components[3], components[4]]);
+  expect(components[4].predecessors).toEqual([components[1], components[2]]);
+
+  const condensed = graph.condense();
+  expect(condensed.analyzeLoops()).toHaveLength(0);
+  expect(condensed.toCGML().trim()).toBe(`Lonely (C6) :=
+Rain (C1) --> A, B (C3)
+Policy (C2) --> C3
+C2 o-> C (C5)
+C3 --> Outcome (C4)
+C3 --> C5`);
+  const mixed = new CausalGraph('A -> B\nB -> A\nA -> C\nB o-> C').condense();
+  expect(mixed.adjList.findEdge('C1', 'C2').polarity).toBe('unknown');
+
+  expect(graph.toMermaid({clusterComponents: true, labelDirections: false})).toBe(`graph TD
+1[Rain]
+5[Policy]
+subgraph Cluster 1
+2[A]
+3[B]
+end
+0[Outcome]
+subgraph Cluster 2
+4[C]
+end
+6[Lonely]
+1[Rain] --> 2[A]
+2[A] --> 3[B]
+3[B] --> 2[A]
+3[B] --> 0[Outcome]
+3[B] --> 4[C]
+4[C] -.-> 4[C]
+5[Policy] -.-> 4[C]
+5[Policy] --> 2[A]`);
+});
+
 test('Parse simple graphs without labels', () => {
   const graph = new CausalGraph('Parent Funding -> Educational Outcomes');
   expect(graph.adjList.nodes.length).toBe(2);
@@ -198,6 +702,20 @@ test(`Find balancing loops in simple causal graphs`, () => {
   expect(loops[0].type).toBe('REINFORCING');
 });
 
+test(`Loops with unknown polarity edges have unknown type`, () => {
+  const graph = new CausalGraph(`
+  A --> B
+  B ?-> C
+  C o-> A
+  `);
+  const loops = graph.analyzeLoops();
+  expect(loops[0].type).toBe('UNKNOWN');
+  expect(loops[0].isBalancing).toBe(false);
+  expect(graph.toMermaid({labelLoops: true})).toContain(`1[B] -->|<b>?</b> <b>${loops[0].label}</b>| 2[C]`);
+  expect(loops[0].label).toMatch(/^U-[0-9a-f]{8}$/);
+  expect(graph.lint().map(d => d.ruleId)).toEqual(['unknown-polarity']);
+});
+
 test(`Convert to mermaid.js graph`, () => {
   const graph = new CausalGraph(`
   Parent Funding (PF) -> Academic Results (AR)
@@ -240,6 +758,86 @@ test(`Graph concatenation`, () => {
   expect(siEdges.length).toBe(1);
 });
 
+test(`Merging reports conflicts and resolves them by strategy`, () => {
+  const edgeList = (graph) => graph.adjList.nodes.flatMap(node => node.adjacentEdges.map(edge =>
+    `${node.name} ${edge.polarity} ${edge.targetName} ${edge.label}`));
+  const left = () => new CausalGraph(`
+  Population (P) --> Births
+  P --> Deaths // more deaths
+  Births --> P // born
+  `);
+  const right = new CausalGraph(`
+  People (P) --> Births // more births
+  P o-> Deaths // more deaths
+  Births -->|new people| P
+  Births --> Joy
+  `);
+
+  const preferLeft = left();
+  const report = preferLeft.concat(right, {strategy: 'prefer-left'});
+  expect(report.conflicts.map(c => c.toString())).toEqual([
+    '"P" is labelled "Population" on the left but "People" on the right. (kept-left) [label-mismatch]',
+    'Link from "P" to "Births" is in both graphs. (kept-left) [duplicate-edge]',
+    'Link from "P" to "Deaths" is positive on the left but negative on the right. (kept-left) [polarity-conflict]',
+    'Link from "Births" to "P" is labelled "born" on the left but "new people" on the right. (kept-left) [edge-label-conflict]',
+  ]);
+  expect(edgeList(preferLeft)).toEqual([
+    'P positive Births more births', 'P positive Deaths more deaths', 'Births positive P born', 'Births positive Joy ',
+  ]);
+  expect(preferLeft.adjList.findNodeByName('P').label).toBe('Population');
+
+  const preferRight = left();
+  expect(preferRight.concat(right, {strategy: 'prefer-right'}).conflicts.map(c => c.resolution))
+    .toEqual(['kept-right', 'kept-right', 'kept-right', 'kept-right']);
+  expect(edgeList(preferRight)).toEqual([
+    'P positive Births more births', 'P negative Deaths more deaths', 'Births positive P new people', 'Births positive Joy ',
+  ]);
+  expect(preferRight.adjList.findNodeByName('P').label).toBe('People');
+  // A link that is only labelled on one side keeps that label.
+  const labelled = new CausalGraph('A --> B // label');
+  expect(labelled.concat(new CausalGraph('A --> B'), {strategy: 'prefer-right'}).conflicts.map(c => c.kind))
+    .toEqual(['duplicate-edge']);
+  expect(labelled.adjList.findEdge('A', 'B').label).toBe('label');
+
+  const keepBoth = left();
+  // Keeping both is the default, as concat used to do nothing else.
+  expect(keepBoth.concat(right).conflicts.map(c => c.resolution))
+    .toEqual(['kept-left', 'kept-both', 'kept-both', 'kept-both']);
+  expect(keepBoth.adjList.findNodeByName('P').adjacentEdges).toHaveLength(4);
+  expect(keepBoth.lint().map(d => d.ruleId)).toContain('conflicting-polarity');
+
+  const strict = left();
+  const before = strict.toCGML();
+  expect(() => strict.concat(right, {strategy: 'error'})).toThrow(MergeConflictError);
+  expect(strict.toCGML()).toBe(before);
+  expect(strict.concat(new CausalGraph('Births --> Joy'), {strategy: 'error'}).hasConflicts).toBe(false);
+  expect(() => strict.concat(right, {strategy: 'whatever'})).toThrow(/Merge strategy must be one of/);
+});
+
+test(`Metadata is merged by concat`, () => {
+  const left = () => new CausalGraph(`
+  P := {owner: Ann}
+  P --> Births {confidence: low}
+  `);
+  const right = new CausalGraph(`
+  P := {owner: Bob, unit: people}
+  P --> Births {source: census}
+  `);
+
+  const preferLeft = left();
+  expect(preferLeft.concat(right, {strategy: 'prefer-left'}).conflicts.map(c => c.toString())).toEqual([
+    '"P" has owner "Ann" on the left but "Bob" on the right. (kept-left) [metadata-conflict]',
+    'Link from "P" to "Births" is in both graphs. (kept-left) [duplicate-edge]',
+  ]);
+  expect(preferLeft.adjList.findNodeByName('P').metadata).toEqual({owner: 'Ann', unit: 'people'});
+  expect(preferLeft.adjList.findEdge('P', 'Births').metadata).toEqual({confidence: 'low', source: 'census'});
+
+  const preferRight = left();
+  preferRight.concat(right, {strategy: 'prefer-right'});
+  expect(preferRight.adjList.findNodeByName('P').metadata).toEqual({owner: 'Bob', unit: 'people'});
+  expect(preferRight.adjList.findEdge('P', 'Births').metadata).toEqual({source: 'census', confidence: 'low'});
+});
+
 test(`Subgraph IDs are assigned`, () => {
   const graph1 = new CausalGraph(`
   Hello (A) -> World (B)
@@ -267,11 +865,12 @@ test(`Subgraph IDs persist through concat`, () => {
   expect(graph1.adjList.findNodeByName('B').subgraphs).toHaveLength(1);
   expect(graph1.adjList.findNodeByName('D').subgraphs).toHaveLength(1);
   expect(graph1.adjList.findNodeByName('E').subgraphs).toHaveLength(1);
-  expect(graph1.adjList.findNodeByName('C').subgraphs).toHaveLength(1);
-  expect(graph1.adjList.findNodeByName('A').subgraphs).toHaveLength(1);
+  // A and C are in both graphs, but belong to graph1 first.
+  expect(graph1.adjList.findNodeByName('C').subgraphs).toHaveLength(2);
+  expect(graph1.adjList.findNodeByName('A').subgraphs).toHaveLength(2);
 
-  expect(graph1.adjList.findNodeByName('A').subgraphs).toEqual([graph1.adjList.id]);
-  expect(graph1.adjList.findNodeByName('C').subgraphs).toEqual([graph1.adjList.id]);
+  expect(graph1.adjList.findNodeByName('A').subgraphs).toEqual([graph1.adjList.id, graph2.adjList.id]);
+  expect(graph1.adjList.findNodeByName('C').subgraphs).toEqual([graph1.adjList.id, graph2.adjList.id]);
   expect(graph1.adjList.findNodeByName('B').subgraphs).toEqual([graph1.adjList.id]);
   expect(graph1.adjList.findNodeByName('E').subgraphs).toEqual([graph2.adjList.id]);
 });
@@ -329,6 +928,233 @@ test(`More complex partitions work as expected.`, () => {
   expect(partitionLengths).toEqual([4, 1]);
 });
 
+test(`Groups in CGML become named subgraphs`, () => {
+  const result = parseCGML(`
+  group "Economy" {
+    Jobs -> Income
+  }
+  group Housing {
+    Rent -> Income
+  }
+  Income -> Spending
+  `);
+  expect(result.findNodeByName('Jobs').subgraphs).toEqual(['group:Economy']);
+  expect(result.findNodeByName('Income').subgraphs).toEqual(['group:Economy', 'group:Housing']);
+  expect(result.findNodeByName('Rent').subgraphs).toEqual(['group:Housing']);
+  expect(result.findNodeByName('Spending').subgraphs).toEqual([result.id]);
+  expect(result.subgraphNames).toEqual({'group:Economy': 'Economy', 'group:Housing': 'Housing'});
+  expect(result.partitionSubgraphs().map(p => p.length)).toEqual([2, 1, 1]);
+
+  // Names with quotes and backslashes survive a round trip.
+  const quoted = parseCGML('group "The \\"New\\" Economy \\\\ 2" {\n  Jobs -> Income\n}');
+  expect(Object.values(quoted.subgraphNames)).toEqual(['The "New" Economy \\ 2']);
+  const cgml = toCGML(quoted);
+  expect(cgml).toContain('group "The \\"New\\" Economy \\\\ 2" {');
+  expect(parseCGML(cgml).subgraphNames).toEqual(quoted.subgraphNames);
+});
+
+test(`Malformed groups are reported`, () => {
+  expect(() => parseCGML('}')).toThrow('Closing brace without a matching group.');
+  const {graph, diagnostics} = parseCGMLWithDiagnostics(`group A {
+group B {
+  X -> Y`);
+  expect(graph.findNodeByName('X').subgraphs).toEqual(['group:A']);
+  expect(diagnostics.map(d => [d.line, d.message])).toEqual([
+    [2, 'Groups can not be nested.'],
+    [1, 'Group "A" is never closed.'],
+  ]);
+});
+
+test(`Named subgraphs are rendered in mermaid and survive concat`, () => {
+  const graph1 = new CausalGraph(`
+  group "Economy" {
+    Jobs -> Income
+  }
+  `);
+  expect(graph1.toMermaid().split('\n')).toContain('subgraph sg1 ["Economy"]');
+
+  const graph2 = new CausalGraph(`
+  Income -> Spending
+  `);
+  graph1.concat(graph2);
+  const lines = graph1.toMermaid().split('\n');
+  expect(lines).toContain('subgraph sg1 ["Economy"]');
+  expect(lines).toContain('subgraph sg2 ["Graph 2"]');
+
+  // Names are only ever titles, so they can contain anything.
+  const odd = new CausalGraph('group "Cost (USD) \\"net\\"" {\n  A -> B\n}\ngroup "sg1" {\n  B -> C\n}');
+  const oddLines = odd.toMermaid().split('\n');
+  expect(oddLines).toContain('subgraph sg1 ["Cost (USD) #quot;net#quot;"]');
+  expect(oddLines).toContain('subgraph sg2 ["sg1"]');
+});
+
+test(`Nodes shared between subgraphs keep every membership`, () => {
+  const health = new CausalGraph(`
+  group Health {
+    Budget --> Hospitals
+  }
+  group Schools {
+    Budget --> Teachers
+  }
+  `);
+  expect(health.adjList.findNodeByName('Budget').subgraphs).toEqual(['group:Health', 'group:Schools']);
+  const roads = new CausalGraph('Budget --> Roads');
+  health.concat(roads);
+  const budget = health.adjList.findNodeByName('Budget');
+  expect(budget.subgraphs).toEqual(['group:Health', 'group:Schools', roads.adjList.id]);
+  expect(health.adjList.getSharedNodes()).toEqual([budget]);
+  expect(health.adjList.partitionSubgraphs().map(p => p.map(node => node.name)))
+    .toEqual([['Budget', 'Hospitals'], ['Teachers'], ['Roads']]);
+
+  const lines = health.toMermaid().split('\n');
+  expect(lines).toEqual([
+    'graph TD',
+    'subgraph sg1 ["Health"]',
+    '0[Budget]',
+    '1[Hospitals]',
+    'end',
+    'subgraph sg2 ["Schools"]',
+    '2[Teachers]',
+    '0_2([Budget])',
+    'end',
+    'subgraph sg3 ["Graph 3"]',
+    '3[Roads]',
+    '0_3([Budget])',
+    'end',
+    '0[Budget] -->|<b>+</b> | 1[Hospitals]',
+    '0[Budget] -->|<b>+</b> | 2[Teachers]',
+    '0[Budget] -->|<b>+</b> | 3[Roads]',
+    '0 -.- 0_2',
+    '0 -.- 0_3',
+    'classDef shared stroke-width:3px',
+    'class 0 shared',
+  ]);
+
+  const cgml = health.toCGML();
+  expect(cgml).toBe(`group "Graph 3" {
+  Budget --> Roads
+}
+
+group "Health" {
+  Budget --> Hospitals
+}
+
+group "Schools" {
+  Budget --> Teachers
+}
+`);
+  expect(parseCGML(cgml).findNodeByName('Budget').subgraphs)
+    .toEqual(['group:Graph 3', 'group:Health', 'group:Schools']);
+});
+
+test(`Included CGML files become subgraphs`, () => {
+  const loader = new MapLoader({
+    'labor.cgml': 'Jobs -> Wages',
+    'housing/rent.cgml': 'Wages -> Rent\n@include "../labor.cgml"',
+  });
+  const graph = parseCGML(`
+  @include "labor.cgml"
+  @include "housing/rent.cgml"
+  Rent o-> Savings
+  `, {loader});
+  expect(graph.nodes.map(n => n.name)).toEqual(['Jobs', 'Wages', 'Rent', 'Savings']);
+  expect(graph.findNodeByName('Wages').adjacentEdges.map(e => e.targetName)).toEqual(['Rent']);
+
+  const names = graph.nodes.map(n => graph.subgraphNames[n.subgraphs[0]]);
+  expect(names).toEqual(['labor.cgml', 'labor.cgml', 'housing/rent.cgml', undefined]);
+  const sources = graph.nodes.map(n => n.sourceFile);
+  expect(sources).toEqual(['labor.cgml', 'labor.cgml', 'housing/rent.cgml', '']);
+});
+
+test(`Files included from several places are merged once`, () => {
+  const loader = new MapLoader({
+    'shared.cgml': 'Jobs --> Wages',
+    'a.cgml': '@include "shared.cgml"\nWages --> Rent',
+    'b.cgml': '@include "shared.cgml"\nWages --> Savings',
+  });
+  const graph = new CausalGraph('@include "a.cgml"\n@include "b.cgml"', {loader});
+  const adjList = graph.adjList;
+  expect(adjList.findNodeByName('Jobs').adjacentEdges).toHaveLength(1);
+  expect(adjList.findNodeByName('Wages').adjacentEdges.map(e => e.targetName)).toEqual(['Rent', 'Savings']);
+  const sharedId = adjList.findNodeByName('Jobs').subgraphs[0];
+  expect(adjList.findNodeByName('Wages').subgraphs).toContain(sharedId);
+  expect(graph.lint().map(d => d.ruleId)).not.toContain('duplicate-edge');
+  expect(graph.toMermaid().match(/^subgraph .*shared\.cgml/gm)).toHaveLength(1);
+});
+
+test(`Files that include themselves are caught before being expanded`, () => {
+  const dir = mkdtempSync(join(tmpdir(), 'cgml-'));
+  mkdirSync(join(dir, 'models'));
+  writeFileSync(join(dir, 'models', 'main.cgml'), '@include "main.cgml"\nA -> B');
+  const cli = new URL('./cgml-lint.js', import.meta.url).pathname;
+  let output = '';
+  try {
+    execFileSync(process.execPath, [cli, 'models/main.cgml'], {cwd: dir, encoding: 'utf8'});
+  } catch (e) {
+    output = e.stdout;
+  }
+  const mainPath = join(dir, 'models', 'main.cgml');
+  expect(output).toContain(`Include cycle: ${mainPath} -> ${mainPath}.`);
+  expect(output).not.toContain('duplicate-edge');
+});
+
+test(`Include problems are reported`, () => {
+  expect(() => parseCGML('@include "a.cgml"')).toThrow('@include needs a loader to be configured.');
+  const loader = new MapLoader({
+    'a.cgml': '@include "b.cgml"',
+    'b.cgml': 'A -> B\n@include "a.cgml"\nbroken',
+  });
+  const {graph, diagnostics} = parseCGMLWithDiagnostics('@include "a.cgml"\n@include "c.cgml"', {loader});
+  expect(graph.nodes).toHaveLength(2);
+  expect(diagnostics.map(d => d.toString())).toEqual([
+    'b.cgml: Line 2, column 1: Include cycle: a.cgml -> b.cgml -> a.cgml.',
+    'b.cgml: Line 3, column 1: Each line must contain at least one arrow or a := declaration.',
+    'Line 2, column 1: Could not load "c.cgml": No file at "c.cgml".',
+  ]);
+});
+
+test(`Includes can be loaded asynchronously`, async () => {
+  const files = new MapLoader({'a.cgml': 'A -> B\n@include "b.cgml"', 'b.cgml': 'B -> A'});
+  const loader = {
+    resolve: (includePath, fromPath) => files.resolve(includePath, fromPath),
+    load: async (path) => files.load(path),
+  };
+  expect(() => parseCGML('@include "a.cgml"', {loader})).toThrow(/use parseCGMLAsync instead/);
+  const {graph} = await parseCGMLAsync('@include "a.cgml"', {loader});
+  expect(graph.nodes.map(n => n.name)).toEqual(['A', 'B']);
+  expect(graph.findNodeByName('B').adjacentEdges).toHaveLength(1);
+
+  const causalGraph = await CausalGraph.fromCGMLAsync('@include "a.cgml"', {loader});
+  expect(causalGraph.analyzeLoops()).toHaveLength(1);
+
+  // Without a loader, includes are reported just like in parseCGML.
+  expect((await CausalGraph.fromCGMLAsync('A -> B')).adjList.nodes).toHaveLength(2);
+  await expect(parseCGMLAsync('@include "a.cgml"')).rejects.toThrow('@include needs a loader to be configured.');
+  const {diagnostics} = await parseCGMLAsync('@include "a.cgml"\nA -> B', {tolerant: true});
+  expect(diagnostics.map(d => d.toString())).toEqual(['Line 1, column 1: @include needs a loader to be configured.']);
+});
+
+test(`Includes can be loaded from the filesystem`, () => {
+  const dir = mkdtempSync(join(tmpdir(), 'cgml-'));
+  writeFileSync(join(dir, 'labor.cgml'), 'Jobs -> Wages');
+  writeFileSync(join(dir, 'main.cgml'), '@include "labor.cgml"');
+  const loader = new FileSystemLoader(dir);
+  const graph = new CausalGraph('@include "main.cgml"\nWages -> Jobs', {loader});
+  expect(graph.adjList.findNodeByName('Jobs').sourceFile).toBe(join(dir, 'labor.cgml'));
+  expect(graph.analyzeLoops()).toHaveLength(1);
+});
+
+test(`The lint CLI finds includes next to files given by relative path`, () => {
+  const dir = mkdtempSync(join(tmpdir(), 'cgml-'));
+  mkdirSync(join(dir, 'models'));
+  writeFileSync(join(dir, 'models', 'labor.cgml'), 'Jobs -> Wages');
+  writeFileSync(join(dir, 'models', 'main.cgml'), '@include "labor.cgml"\nWages -> Jobs');
+  const cli = new URL('./cgml-lint.js', import.meta.url).pathname;
+  // Throws if the CLI exits with errors, eg. because the include is missing.
+  const output = execFileSync(process.execPath, [cli, 'models/main.cgml'], {cwd: dir, encoding: 'utf8'});
+  expect(output).not.toContain('error');
+});
+
 test(`Subgraphs are rendered in mermaid diagrams`, () => {
   const graph1 = new CausalGraph(`
   A -> B
@@ -345,8 +1171,8 @@ test(`Subgraphs are rendered in mermaid diagrams`, () => {
   const mermaid = graph1.toMermaid();
 
   const lines = mermaid.split('\n');
-  expect(lines.includes('subgraph Graph 1')).toBeTruthy();
-  expect(lines.includes('subgraph Graph 2')).toBeTruthy();
+  expect(lines.includes('subgraph sg1 ["Graph 1"]')).toBeTruthy();
+  expect(lines.includes('subgraph sg2 ["Graph 2"]')).toBeTruthy();
 });
 
 test(`Cycles are rendered in mermaid diagrams`, () => {
@@ -378,8 +1204,8 @@ test(`Edge labels play well with cycles`, () => {
   `);
   const mermaid = graph1.toMermaid({labelLoops: true});
   console.log(mermaid);
-  expect(mermaid.match(/^.*World.*R1.*$/gm)).not.toBeNull();
-  expect(mermaid.match(/^.*More A causes more B.*R1.*$/gm)).not.toBeNull();
+  expect(mermaid.match(/^.*World.*R-.*$/gm)).not.toBeNull();
+  expect(mermaid.match(/^.*More A causes more B.*R-.*$/gm)).not.toBeNull();
 });
 
 test(`Edge labels are rendered in mermaid diagrams`, () => {
@@ -413,6 +1239,246 @@ test(`Reinforcing and balancing loops are labeled in complex mermaid diagrams`,
   expect(mermaid.match(/^.*C.*-->.*|R5|.*F.*$/gm)).not.toBeNull();
 });
 
+test(`Loops are measured and ranked by how central they are`, () => {
+  const graph = new CausalGraph(`
+  A -> B
+  B -> A
+  B -> C
+  C -> A
+  C -> D
+  D o-> C
+  `);
+  const loops = graph.analyzeLoops();
+  expect(loops.map(loop => loop.length)).toEqual([2, 3, 2]);
+  expect(nodeLoopiness(loops)).toEqual(new Map([['A', 2], ['B', 2], ['C', 2], ['D', 1]]));
+  const summary = (metrics) => [metrics.loop.nodes.map(node => node.name).join(' '),
+    metrics.length, metrics.sharedNodes, metrics.sharedEdges, metrics.overlappingLoops, metrics.centrality];
+  expect(analyzeLoopMetrics(loops).map(summary)).toEqual([
+    ['A B', 2, 2, 1, 1, 2],
+    ['A B C', 3, 3, 1, 2, 3],
+    ['C D', 2, 1, 0, 1, 1],
+  ]);
+  expect(graph.rankLoops().map(metrics => metrics.loop.nodes.map(node => node.name).join(' ')))
+    .toEqual(['A B C', 'A B', 'C D']);
+
+  expect(graph.toMermaid({labelLoops: true})).toContain(`3[D] -.->|<b>-</b> <b>${loops[2].label}</b>| 2[C]`);
+  const top = graph.toMermaid({labelLoops: 1});
+  expect(top).toContain(`2[C] -->|<b>+</b> <b>${loops[1].label}</b>| 0[A]`);
+  expect(top).toContain('1[B] -->|<b>+</b> | 0[A]');
+  expect(top).not.toContain(loops[2].label);
+});
+
+test(`Loops keep their IDs and names across edits and merges`, () => {
+  const cgml = `
+  Births -> Population (P)
+  P -> Births
+  P -> Deaths
+  Deaths o-> P
+  loop R_growth: P, Births
+  `;
+  const graph = new CausalGraph(cgml);
+  const labels = (g) => g.analyzeLoops().map(loop => loop.label);
+  const [growth, deaths] = graph.analyzeLoops();
+  expect(growth.name).toBe('R_growth');
+  expect(growth.key).toBe('["Births","P"]');
+  expect(deaths.label).toBe(`B-${deaths.id}`);
+  expect(deaths.id).toMatch(/^[0-9a-f]{8}$/);
+  // These two loops' keys happen to hash the same.
+  const colliding = new CausalGraph('A -> xzhl\nxzhl -> A\nA -> tpiab\ntpiab -> A').analyzeLoops();
+  expect(colliding.map(loop => loop.id)).toEqual(['532e848a.2', '532e848a']);
+  expect(graph.toMermaid({labelLoops: true})).toContain('<b>R_growth</b>');
+
+  // Adding a loop that comes first doesn't change the others.
+  const edited = new CausalGraph(`Aging -> Aging\n${cgml}`);
+  expect(labels(edited).slice(1)).toEqual(labels(graph));
+  expect(graph.toCGML()).toContain('loop R_growth: Births, P');
+  expect(labels(new CausalGraph(graph.toCGML()))).toEqual(labels(graph));
+
+  const other = new CausalGraph(`
+  P -> Deaths
+  Deaths o-> P
+  Births -> P
+  P -> Births
+  loop B_mortality: Deaths, P
+  loop R_births: Births, P
+  `);
+  graph.concat(other);
+  expect(labels(graph)).toEqual(['R_growth', 'B_mortality']);
+  graph.adjList.renameNode('P', 'Population');
+  expect(labels(graph)).toEqual(['R_growth', 'B_mortality']);
+  expect(Object.keys(graph.adjList.loopNames).filter(key => JSON.parse(key).includes('P'))).toEqual([]);
+
+  // Names of loops through a removed node don't attach to a new loop through
+  // a node of the same name.
+  graph.adjList.removeNode('Deaths');
+  expect(graph.adjList.loopNames).toEqual({'["Births","Population"]': 'R_growth'});
+  graph.concat(new CausalGraph('Population -> Deaths\nDeaths o-> Population'));
+  expect(labels(graph)).toEqual(['R_growth', `B-${graph.analyzeLoops()[1].id}`]);
+
+  expect(() => parseCGML('loop R: A, B, A')).toThrow('Loop goes through "A" more than once.');
+  expect(() => parseCGML('loop R:  ')).toThrow('Loop "R" must list the nodes it goes through.');
+  expect(() => parseCGML('loop R: A, B\nloop R: B, C')).toThrow('Another loop is already called "R".');
+  expect(() => parseCGML('loop R: A, B\nloop S: B, A')).toThrow('This loop is already called "R".');
+  expect(parseCGML('loop R := 1').findNodeByName('loop R').initialValue).toBe(1);
+  const quoted = parseCGML('"A, B" -> C\nC -> "A, B"\nloop R: "A, B", C');
+  expect(toCGML(quoted)).toContain('loop R: "A, B", C');
+});
+
+test(`The influence of one variable on another is traced along every path`, () => {
+  const graph = new CausalGraph(`
+  Price o-> Demand
+  Demand -> Sales
+  Price -> Revenue
+  Sales -> Revenue
+  Sales -> Word of Mouth (WoM)
+  WoM -> Demand
+  Revenue -> Investment
+  Investment ?-> Expansion
+  Unrelated -> Price
+  `);
+  const influence = graph.traceInfluence('Price', 'Revenue');
+  expect(influence.paths.map(path => [path.toString(), path.polarity])).toEqual([
+    ['Price -> Revenue', 'positive'],
+    ['Price -> Demand -> Sales -> Revenue', 'negative'],
+  ]);
+  expect(influence.effect).toBe('mixed');
+  expect(influence.shortestLength).toBe(1);
+  expect(influence.toString()).toBe('"Price" affects "Revenue": mixed (2 paths, shortest 1)');
+
+  expect(graph.traceInfluence('Price', 'WoM').effect).toBe('negative');
+  expect(graph.traceInfluence('Demand', 'Revenue').effect).toBe('positive');
+  expect(graph.traceInfluence('Revenue', 'Expansion').effect).toBe('unknown');
+  expect(graph.traceInfluence('Revenue', 'Price').effect).toBe('none');
+  expect(graph.traceInfluence('Revenue', 'Price').shortestLength).toBeNull();
+
+  const limited = graph.traceInfluence('Price', 'Revenue', {maxPaths: 1});
+  expect(limited.paths).toHaveLength(1);
+  expect(limited.truncated).toBe(true);
+  const short = graph.traceInfluence('Price', 'Revenue', {maxLength: 2});
+  expect(short.effect).toBe('positive');
+  expect(short.truncated).toBe(true);
+  expect(short.toString()).toBe('"Price" affects "Revenue": positive (1+ paths, shortest 1)');
+  expect(graph.traceInfluence('Price', 'Revenue', {maxLength: 3}).truncated).toBe(false);
+  expect(() => graph.traceInfluence('Price', 'Nope')).toThrow('No node found with name Nope.');
+  expect(() => graph.traceInfluence('Price', 'Price')).toThrow(/through loops/);
+
+  const mermaid = graph.toMermaid({highlight: graph.traceInfluence('Demand', 'Revenue')});
+  expect(mermaid).toContain('class 1,2,3 highlighted');
+  expect(mermaid).toContain('linkStyle 2,3 stroke:#8250df');
+});
+
+test(`Nodes are ranked by leverage`, () => {
+  const graph = new CausalGraph(`
+  Effort -> Performance
+  Performance -> Effort
+  Performance -> Slowing Action
+  Slowing Action o-> Performance
+  Resource Limit -> Slowing Action
+  Performance -> Morale
+  `);
+  const report = analyzeLeverage(graph.adjList);
+  const summary = report.rows.map(row => [row.node.name, row.inDegree, row.outDegree,
+    row.betweenness, row.loopCount, row.isJunction, row.score]);
+  expect(summary).toEqual([
+    ['Performance', 2, 3, 6, 2, true, 1],
+    ['Slowing Action', 2, 1, 3, 1, false, 0.4],
+    ['Effort', 1, 1, 0, 1, false, 0.23],
+    ['Resource Limit', 0, 1, 0, 0, false, 0.05],
+    ['Morale', 1, 0, 0, 0, false, 0.05],
+  ]);
+  expect(report.truncated).toBe(false);
+  expect(analyzeLeverage(graph, {maxCycles: 1}).truncated).toBe(true);
+
+  expect(report.toTable({labelChars: 12}).split('\n').slice(0, 3)).toEqual([
+    '| Node         |   In |  Out | Betweenness | Loops |     R/B | Score |',
+    '| Performance  |    2 |    3 |         6.0 |     2 |    1/1* |  1.00 |',
+    '| Slowing Acti |    2 |    1 |         3.0 |     1 |     0/1 |  0.40 |',
+  ]);
+  const mermaid = report.toMermaid();
+  expect(mermaid).toContain('class 3,4 leverage0');
+  expect(mermaid).toContain('class 1 leverage4');
+});
+
+test(`Systems archetypes are detected`, () => {
+  const matches = (cgml) => new CausalGraph(cgml).detectArchetypes().map(match => match.toString());
+  expect(matches(`
+  Effort -> Performance
+  Performance -> Effort
+  Performance -> Slowing Action
+  Slowing Action o-> Performance
+  Resource Limit -> Slowing Action
+  `)).toEqual(['Limits to Growth (100%) performance: Performance, growingAction: Effort, ' +
+    'limitingAction: Slowing Action, constraint: Resource Limit']);
+  expect(matches(`
+  Problem -> Fix
+  Fix o-> Problem
+  Fix -> Side Effect
+  Side Effect --||-> Problem
+  `)).toEqual(['Fixes that Fail (100%) problem: Problem, fix: Fix, consequence: Side Effect']);
+  expect(matches(`
+  Symptom -> Quick Fix
+  Quick Fix o-> Symptom
+  Symptom -> Fundamental Fix
+  Fundamental Fix o|3|-> Symptom
+  Quick Fix -> Dependence
+  Dependence o-> Fundamental Fix
+  `)).toContain('Shifting the Burden (100%) symptom: Symptom, symptomaticSolution: Quick Fix, ' +
+    'fundamentalSolution: Fundamental Fix, sideEffect: Dependence');
+  expect(matches(`
+  Lead of A -> Activity of B
+  Activity of B o-> Lead of A
+  Lead of A o-> Activity of A
+  Activity of A -> Lead of A
+  `)).toEqual(['Escalation (70%) position: Lead of A, activityA: Activity of A, activityB: Activity of B']);
+  expect(matches(`
+  Allocation to A -> Resources to A
+  Resources to A -> Success of A
+  Success of A -> Allocation to A
+  Allocation to A o-> Resources to B
+  Resources to B -> Success of B
+  Success of B o-> Allocation to A
+  `)).toEqual(['Success to the Successful (100%) allocation: Allocation to A, ' +
+    'resourcesA: Resources to A, resourcesB: Resources to B']);
+  expect(matches(`
+  Activity A -> Gain A
+  Gain A -> Activity A
+  Activity B -> Gain B
+  Gain B -> Activity B
+  Activity A -> Total Activity
+  Activity B -> Total Activity
+  Total Activity o-> Gain per Activity
+  Gain per Activity -> Gain A
+  Gain per Activity -> Gain B
+  `)).toEqual(['Tragedy of the Commons (80%) commons: Total Activity, activityA: Activity A, activityB: Activity B']);
+  expect(matches('A -> B\nB -> A\nC -> D')).toEqual([]);
+
+  const graph = new CausalGraph(`
+  Effort -> Performance
+  Performance -> Effort
+  Performance -> Slowing Action
+  Slowing Action o-> Performance
+  Bystander -> Effort
+  `);
+  expect(graph.detectArchetypes({minConfidence: 0.9})).toEqual([]);
+  const [match] = graph.detectArchetypes();
+  expect(match.archetypeId).toBe('limits-to-growth');
+  expect(match.confidence).toBe(0.8);
+  expect(match.roles.performance.name).toBe('Performance');
+  const mermaid = graph.toMermaid({highlight: match});
+  expect(mermaid).toContain('class 0,1,2 highlighted');
+  expect(mermaid).toContain('linkStyle 0,1,2,3 stroke:#8250df');
+});
+
+test(`Edge strengths survive concat and show up in mermaid`, () => {
+  const g1 = new CausalGraph(`A -> B`);
+  const g2 = new CausalGraph(`B o[0.5]-> A`);
+  g1.concat(g2);
+  expect(g1.adjList.findNodeByName('B').adjacentEdges[0].strength).toBe(0.5);
+
+  expect(g1.toMermaid()).not.toContain('0.5');
+  expect(g1.toMermaid({labelStrengths: true})).toMatch(/^.*B.*-.->.*<i>0.5<\/i>.*A.*$/m);
+});
+
 test(`Simple graph simulation initializes to correct init values.`, () => {
   const g = new CausalGraph(`
   Parent Funding (A) -> Academic Results (B)
@@ -450,6 +1516,168 @@ test(`Adjacency list inbound nodes calculations work for more complex graph.`, (
   expect(al.findInboundAdjacentNodes('C')).toHaveLength(0);
 })
 
+test(`Adjacency list lookups stay up to date`, () => {
+  const al = parseCGML(`
+  A -> B
+  C -> B
+  A o-> B
+  B -> B
+  `);
+  expect(al.findNodeIndexByName('C')).toBe(2);
+  expect(al.findInboundAdjacentNodes('B').map(([node, edge]) => [node.name, edge.isOpposite]))
+    .toEqual([['A', false], ['C', false]]);
+
+  al.concat(parseCGML('D -> A\nB -> D'));
+  expect(al.findNodeByName('D')).toBe(al.nodes[3]);
+  expect(al.findInboundAdjacentNodes('A').map(([node]) => node.name)).toEqual(['D']);
+  expect(() => al.addNode(al.nodes[0].clone())).toThrow('Node "A" already exists.');
+
+  // Graphs changed behind the list's back can be reindexed.
+  al.nodes[0].adjacentEdges = [];
+  al.reindex();
+  expect(al.findInboundAdjacentNodes('B').map(([node]) => node.name)).toEqual(['C']);
+
+  // Nodes pushed directly are picked up without an explicit reindex.
+  const pushed = parseCGML('E -> B').nodes[0];
+  al.nodes.push(pushed);
+  expect(al.findNodeByName('E')).toBe(pushed);
+  expect(al.findInboundAdjacentNodes('B').map(([node]) => node.name)).toEqual(['C', 'E']);
+  expect(() => al.addNode(pushed.clone())).toThrow('Node "E" already exists.');
+});
+
+test(`Graphs can be changed, and announce each change`, () => {
+  const al = parseCGML('A -> B\nB o-> C\nC -> A');
+  const events = [];
+  for (const type of CHANGE_EVENTS) {
+    al.addEventListener(type, ({type, detail}) =>
+      events.push(`${type} ${detail.node?.name ?? detail.source.name} ${detail.oldName ?? detail.edge?.targetName ?? ''}`.trim()));
+  }
+
+  const d = new Node();
+  d.name = d.label = 'D';
+  d.subgraphs = [al.id];
+  al.addNode(d);
+  al.addEdge('D', Object.assign(new Edge(), {targetName: 'A'}));
+  expect(() => al.addEdge('D', Object.assign(new Edge(), {targetName: 'X'}))).toThrow('No node found with name X.');
+  al.renameNode('A', 'Alpha');
+  expect(al.findNodeByName('Alpha').label).toBe('Alpha');
+  expect(al.findEdge('C', 'Alpha')).toBe(al.findNodeByName('C').adjacentEdges[0]);
+  expect(al.findInboundAdjacentNodes('Alpha').map(([node]) => node.name)).toEqual(['C', 'D']);
+  al.setPolarity('C', 'Alpha', 'unknown');
+  expect(() => al.setPolarity('C', 'Alpha', 'sideways')).toThrow(/Polarity must be one of/);
+  al.setLabel('B', 'Beta');
+  al.setEdgeLabel('Alpha', 'B', 'more');
+  al.removeEdge('D', 'Alpha');
+  expect(() => al.removeEdge('D', 'Alpha')).toThrow('No edge found from "D" to "Alpha".');
+  al.removeNode('C');
+
+  expect(events).toEqual([
+    'node-add D',
+    'edge-add D A',
+    'node-rename Alpha A',
+    'edge-change C Alpha',
+    'node-change B',
+    'edge-change Alpha B',
+    'edge-remove D Alpha',
+    'edge-remove B C',
+    'node-remove C',
+  ]);
+  expect(al.nodes.map(node => node.name)).toEqual(['Alpha', 'B', 'D']);
+  expect(al.findNodeIndexByName('D')).toBe(2);
+  expect(al.findNodeByName('B').adjacentEdges).toHaveLength(0);
+  expect(toCGML(al)).toBe('D :=\nAlpha --> Beta (B) // more\n');
+});
+
+test(`Simulator keeps up with changes to the graph`, () => {
+  const graph = new CausalGraph('A -> B');
+  const sim = new GraphSimulatorSimple(graph);
+  sim.run();
+  graph.adjList.renameNode('B', 'Bee');
+  const c = new Node();
+  c.name = c.label = 'C';
+  c.initialValue = 5;
+  graph.adjList.addNode(c);
+  graph.adjList.addEdge('Bee', Object.assign(new Edge(), {targetName: 'C', polarity: 'unknown'}));
+  expect(() => sim.run()).toThrow('Edge "Bee->C" has unknown polarity.');
+  graph.adjList.setPolarity('Bee', 'C', 'negative');
+  graph.adjList.removeNode('A');
+  sim.run();
+  expect(sim.history).toEqual({Bee: [1, 1.1, 1.1], C: [5, 5, 4.89]});
+
+  // Disposed simulators stop following the graph.
+  sim.dispose();
+  graph.adjList.renameNode('Bee', 'B');
+  expect(Object.keys(sim.values)).toEqual(['Bee', 'C']);
+
+  const controller = new AbortController();
+  const sims = sweepPolarities(new CausalGraph('A ?-> B'), {signal: controller.signal});
+  controller.abort();
+  sims[0].graph.adjList.renameNode('A', 'Alpha');
+  expect(sims.map(sim => Object.keys(sim.values))).toEqual([['A', 'B'], ['A', 'B']]);
+});
+
+test(`Loop analysis copes with long chains`, () => {
+  const lines = [];
+  for (let i = 0; i < 20000; i++) {
+    lines.push(`N${i} -> N${i + 1}`);
+  }
+  lines.push('N20000 o-> N19998');
+  const loops = new CausalGraph(lines.join('\n')).analyzeLoops();
+  expect(loops).toHaveLength(1);
+  expect(loops[0].nodes.map(node => node.name)).toEqual(['N19998', 'N19999', 'N20000']);
+  expect(loops[0].type).toBe('BALANCING');
+});
+
+test(`Loop analysis finds every cycle without changing the graph`, () => {
+  const cgml = `
+  A -> B
+  B -> C
+  C -> A
+  B -> A
+  C o-> B
+  C -> C
+  `;
+  const graph = new CausalGraph(cgml);
+  const loops = graph.analyzeLoops().map(loop => loop.nodes.map(node => node.name).join(' '));
+  expect(loops).toEqual(['A B C', 'A B', 'B C', 'C']);
+  expect(graph.toCGML()).toBe(new CausalGraph(cgml).toCGML());
+  expect(graph.analyzeLoops()).toHaveLength(4);
+});
+
+test(`Loop analysis can be limited`, () => {
+  const graph = new CausalGraph(`
+  A -> B
+  B -> C
+  C -> A
+  B -> A
+  C o-> B
+  `);
+  const names = ({loops, truncated}) =>
+    [loops.map(loop => loop.nodes.map(node => node.name).join(' ')), truncated];
+  expect(names(graph.analyzeLoopsWithTruncation())).toEqual([['A B C', 'A B', 'B C'], false]);
+  // A B C is longer than maxLength, so the loops are incomplete.
+  expect(names(graph.analyzeLoopsWithTruncation({maxLength: 2}))).toEqual([['A B', 'B C'], true]);
+  expect(names(graph.analyzeLoopsWithTruncation({maxLength: 3}))).toEqual([['A B C', 'A B', 'B C'], false]);
+  expect(new CausalGraph('A -> B\nB -> A\nB -> C').analyzeLoopsWithTruncation({maxLength: 2}).truncated).toBe(false);
+  expect(names(graph.analyzeLoopsWithTruncation({maxCycles: 2}))).toEqual([['A B C', 'A B'], true]);
+  expect(names(graph.analyzeLoopsWithTruncation({maxCycles: 3}))).toEqual([['A B C', 'A B', 'B C'], false]);
+  expect(graph.analyzeLoops({maxCycles: 1})).toHaveLength(1);
+
+  // Every node links to every other node, so there are far too many cycles.
+  const lines = [];
+  for (let i = 0; i < 12; i++) {
+    for (let j = 0; j < 12; j++) {
+      if (i !== j) {
+        lines.push(`N${i} -> N${j}`);
+      }
+    }
+  }
+  const complete = new CausalGraph(lines.join('\n'));
+  const started = Date.now();
+  expect(complete.analyzeLoopsWithTruncation({timeBudget: 50}).truncated).toBe(true);
+  expect(Date.now() - started).toBeLessThan(1000);
+});
+
 test(`Graph sim running works reasonably for a few iterations`, () => {
   const g = new CausalGraph(`
   Parent Funding (A) -> Academic Results (B)
@@ -475,6 +1703,96 @@ test(`Graph sim running works reasonably for a few iterations`, () => {
   expect(sim.values['C']).toBe(1.33);
 });
 
+test(`Edge strengths override the global alpha in simulation`, () => {
+  const g = new CausalGraph(`
+  A --[0.5]-> B
+  A -> C
+  `);
+  const sim = new GraphSimulatorSimple(g);
+  sim.run();
+  expect(sim.values['B']).toBe(1.5);
+  expect(sim.values['C']).toBe(1.1);
+});
+
+test(`Delayed edges are marked in mermaid diagrams`, () => {
+  const g = new CausalGraph(`
+  A --||-> B
+  B o|3|-> A
+  `);
+  const mermaid = g.toMermaid();
+  expect(mermaid).toMatch(/^.*A.*-->.*‖<\/b>.*B.*$/m);
+  expect(mermaid).toMatch(/^.*B.*-.->.*‖3.*A.*$/m);
+});
+
+test(`Delayed edges influence their target a few steps later`, () => {
+  const g = new CausalGraph(`
+  X -> A
+  A --|2|-> B
+  A -> C
+  `);
+  const sim = new GraphSimulatorSimple(g);
+  for (let i = 0; i < 4; i++) {
+    sim.run();
+  }
+  expect(sim.history['A']).toEqual([1, 1.1, 1.2, 1.3, 1.4]);
+  // B only starts seeing A grow two steps after C does.
+  expect(sim.history['B']).toEqual([1, 1.1, 1.2, 1.3, 1.41]);
+  expect(sim.history['C']).toEqual([1, 1.1, 1.21, 1.33, 1.46]);
+});
+
+test(`Simulator picks up initial values and targets declared in CGML`, () => {
+  const g = new CausalGraph(`
+  A -> B
+  A := 3 target=2
+  B := 5
+  `);
+  const sim = new GraphSimulatorSimple(g, {initialValues: {B: 7}});
+  expect(sim.values['A']).toBe(3);
+  expect(sim.values['B']).toBe(7);
+  expect(sim.targets['A']).toBe(2);
+  sim.run();
+  expect(sim.values['B']).toBe(7.1);
+
+  // Zero is a real initial value, rather than a missing one.
+  const zeros = new GraphSimulatorSimple(new CausalGraph('A -> B\nA := 0'), {initialValues: {B: 0}});
+  expect(zeros.values).toEqual({A: 0, B: 0});
+  zeros.run();
+  expect(zeros.values).toEqual({A: 0, B: 0});
+});
+
+test(`Stocks are drawn differently in mermaid diagrams`, () => {
+  const g = new CausalGraph(`
+  Population (P) -> Births (B)
+  P := type=stock
+  `);
+  const mermaid = g.toMermaid();
+  expect(mermaid).toMatch(/^0\[\[Population\]\]$/m);
+  expect(mermaid).toMatch(/^1\[Births\]$/m);
+});
+
+test(`Simulator refuses unknown polarities unless they are provided or swept`, () => {
+  const graph = new CausalGraph(`
+  A ?-> B
+  B ?-> C
+  `);
+  expect(() => new GraphSimulatorSimple(graph)).toThrow('Edge "A->B" has unknown polarity.');
+  expect(() => new GraphSimulatorSimple(graph, {polarities: {'A->B': 'positive', 'B->C': 'sideways'}}))
+    .toThrow('Polarity for "B->C" must be positive or negative, got "sideways".');
+
+  const sims = sweepPolarities(graph, {edgeAlpha: 0.5});
+  expect(sims.map(sim => sim.polarities)).toEqual([
+    {'A->B': 'positive', 'B->C': 'positive'},
+    {'A->B': 'negative', 'B->C': 'positive'},
+    {'A->B': 'positive', 'B->C': 'negative'},
+    {'A->B': 'negative', 'B->C': 'negative'},
+  ]);
+  for (const sim of sims) {
+    sim.run();
+  }
+  expect(sims.map(sim => sim.values.B)).toEqual([1.5, 0.5, 1.5, 0.5]);
+  expect(sims.map(sim => sim.values.C)).toEqual([1.5, 1.5, 0.5, 0.5]);
+});
+
 test(`Graph reinforcing loop simulation and expect an exponential`, () => {
   const g = new CausalGraph(`
   Parent Funding (A) -> Academic Results (B)